@@ -0,0 +1,149 @@
+'use strict';
+
+/*
+ * Benchmark the initial sync of the indexer.
+ *
+ * Indexes the first blocks of an existing hsd datadir into a
+ * scratch MongoDB database once per run and reports blocks/sec.
+ * A number runs `_indexBlocks` with that batch size, 1 being the
+ * path used when following the chain tip. `legacy` indexes one
+ * block at a time and resolves every input with its own `findOne`,
+ * as the indexer did before inputs were resolved per batch.
+ *
+ *   node bench/sync.js --prefix ~/.hsd --blocks 5000 --batch legacy,1,100
+ *
+ * The scratch database (--mongo-name, default hnscan-bench)
+ * is dropped before every run.
+ */
+
+const Logger = require('blgr');
+const { FullNode } = require('hsd');
+
+const ChainClient = require('../lib/chainClient');
+const Indexer = require('../lib/indexer');
+const Db = require('../lib/db');
+
+/**
+ * Indexer resolving each input with a separate query.
+ */
+class LegacyIndexer extends Indexer {
+  async getInputView(blocks) {
+    const view = new Map();
+
+    for (const block of blocks) {
+      for (const tx of block.txs) {
+        if (tx.isCoinbase()) continue;
+
+        for (const { prevout } of tx.inputs) {
+          const item = await this.db.coinDb.findOne(
+            { txid: prevout.txid(), index: prevout.index },
+            { projection: { address: 1, value: 1, type: 1 } }
+          );
+
+          if (!item) continue;
+
+          view.set(`${prevout.txid()}:${prevout.index}`, {
+            address: item.address,
+            value: item.value,
+            type: item.type
+          });
+        }
+      }
+    }
+
+    return view;
+  }
+}
+
+function parseArgs(argv) {
+  const args = {};
+
+  for (let i = 2; i < argv.length; i++) {
+    const key = argv[i].replace(/^--/, '');
+    args[key] = argv[++i];
+  }
+
+  return {
+    network: args.network || 'main',
+    prefix: args.prefix,
+    blocks: parseInt(args.blocks || '5000', 10),
+    batch: (args.batch || 'legacy,1,100').split(','),
+    mongo: {
+      name: args['mongo-name'] || 'hnscan-bench',
+      host: args['mongo-host'],
+      port: args['mongo-port'] ? parseInt(args['mongo-port'], 10) : null,
+      user: args['mongo-user'],
+      password: args['mongo-password']
+    }
+  };
+}
+
+async function run(node, logger, options, mode) {
+  const legacy = mode === 'legacy';
+  const size = legacy ? 1 : parseInt(mode, 10);
+
+  const db = new Db(options.mongo);
+
+  await db.open();
+  await db.db.dropDatabase();
+  await db.open();
+
+  const client = new ChainClient(node.chain);
+  const indexer = new (legacy ? LegacyIndexer : Indexer)({
+    network: options.network,
+    logger: logger,
+    client: client,
+    chain: node.chain,
+    db: db,
+    syncBatch: size
+  });
+
+  const end = Math.min(options.blocks, node.chain.height + 1);
+  const start = process.hrtime();
+
+  for (let height = 0; height < end; height += size) {
+    const items = [];
+
+    for (let i = height; i < Math.min(height + size, end); i++) {
+      const entry = await client.getEntry(i);
+      const block = await client.getBlock(entry.hash);
+      items.push({ entry, block });
+    }
+
+    await indexer._indexBlocks(items);
+  }
+
+  const [sec, nsec] = process.hrtime(start);
+  const elapsed = sec + nsec / 1e9;
+
+  console.log('%s: %d blocks in %ss (%s blocks/sec)',
+    legacy ? 'legacy' : `batch=${size}`, end, elapsed.toFixed(2), (end / elapsed).toFixed(2));
+
+  await db.client.close();
+}
+
+(async () => {
+  const options = parseArgs(process.argv);
+
+  const node = new FullNode({
+    network: options.network,
+    prefix: options.prefix,
+    indexTX: true,
+    indexAddress: true
+  });
+
+  const logger = new Logger({ level: 'error' });
+
+  await logger.open();
+  await node.blocks.open();
+  await node.chain.open();
+
+  for (const mode of options.batch) await run(node, logger, options, mode);
+
+  await node.chain.close();
+  await node.blocks.close();
+  await logger.close();
+})().catch((err) => {
+  console.error(err.stack);
+  process.exit(1);
+});
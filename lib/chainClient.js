@@ -170,6 +170,17 @@ class ChainClient extends AsyncEmitter {
     return this.chain.getEntryByHash(entry.prevBlock);
   }
 
+  /**
+   * Get the ancestor of an entry at a height, walking
+   * back from entries that are not on the main chain.
+   * @param {ChainEntry} entry
+   * @param {Number} height
+   * @returns {Promise} - Returns ChainEntry.
+   */
+  getAncestor(entry, height) {
+    return this.chain.getAncestor(entry, height);
+  }
+
   /**
    * Get a historical block coin viewpoint.
    * @param {Block} hash
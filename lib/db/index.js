@@ -28,27 +28,89 @@ class Db {
     await this.txDb.createIndex({ height: 1 });
     await this.txDb.createIndex({ time: 1 });
     await this.txDb.createIndex({ addresses: 1 }, { sparse: true });
+    await this.txDb.createIndex({ addresses: 1, height: -1, index: -1 }, { sparse: true });
 
     this.coinDb = this.db.collection('coin');
     await this.coinDb.createIndex({ txid: 1, index: 1 }, { unique: true });
     await this.coinDb.createIndex({ spentTxid: 1, spentIndex: 1 }, { unique: true, sparse: true });
     await this.coinDb.createIndex({ nameHash: 1 });
+    await this.coinDb.createIndex({ nameHash: 1, height: -1, txIndex: -1, index: -1 }, { sparse: true });
+    await this.coinDb.createIndex({ height: 1 });
     await this.coinDb.createIndex({ type: 1 });
     await this.coinDb.createIndex({ address: 1 });
+    await this.coinDb.createIndex({ address: 1, spent: 1, height: -1 });
     await this.coinDb.createIndex({ time: 1 });
     await this.coinDb.createIndex({ value: 1 });
     await this.coinDb.createIndex({ spent: 1 });
 
+    this.addressDb = this.db.collection('address');
+    await this.addressDb.createIndex({ address: 1 }, { unique: true });
+    await this.addressDb.createIndex({ spendable: -1 });
+
     this.nameDb = this.db.collection('name');
     await this.nameDb.createIndex({ nameHash: 1 }, { unique: true });
+    await this.nameDb.createIndex({ name: 1 });
+    await this.nameDb.createIndex({ suffixes: 1 });
     await this.nameDb.createIndex({ open: -1 });
     await this.nameDb.createIndex({ value: -1 });
+    await this.nameDb.createIndex({ highest: -1 });
+    await this.nameDb.createIndex({ expiry: 1 });
+    await this.nameDb.createIndex({ claimed: 1, open: -1 });
+    await this.nameDb.createIndex({ reserved: 1 });
+    await this.nameDb.createIndex({ ownerAddress: 1, expiry: 1 }, { sparse: true });
+    await this.nameDb.createIndex({ registered: 1, expiry: 1 });
+    await this.nameDb.createIndex({ 'records.type': 1, 'records.ns': 1 }, { sparse: true });
+    await this.nameDb.createIndex({ 'records.type': 1, 'records.address': 1 }, { sparse: true });
+    await this.nameDb.createIndex({ 'records.type': 1, 'records.digest': 1 }, { sparse: true });
+    await this.nameDb.createIndex({ 'records.txt': 1 }, { sparse: true });
+
+    this.recordDb = this.db.collection('record');
+    await this.recordDb.createIndex({ nameHash: 1, height: -1 });
+    await this.recordDb.createIndex({ height: 1 });
+
+    this.claimDb = this.db.collection('claim');
+    await this.claimDb.createIndex({ height: -1 });
+    await this.claimDb.createIndex({ nameHash: 1, height: -1 });
+    await this.claimDb.createIndex({ name: 1 });
+
+    this.airdropDb = this.db.collection('airdrop');
+    await this.airdropDb.createIndex({ height: -1, index: 1 });
+    await this.airdropDb.createIndex({ address: 1, height: -1 });
 
     this.summaryDb = this.db.collection('summary');
     await this.summaryDb.createIndex({ time: 1 });
 
+    this.stateDb = this.db.collection('state');
+    await this.stateDb.createIndex({ key: 1 }, { unique: true });
+
     this.snapshotDb = this.db.collection('snapshot');
     await this.snapshotDb.createIndex({ key: 1 }, { unique: true });
+
+    this.watchDb = this.db.collection('watch');
+    await this.watchDb.createIndex({ id: 1 }, { unique: true });
+    await this.watchDb.createIndex({ key: 1 });
+    await this.watchDb.createIndex({ created: -1 });
+
+    this.deliveryDb = this.db.collection('delivery');
+    await this.deliveryDb.createIndex({ id: 1 }, { unique: true });
+    await this.deliveryDb.createIndex({ status: 1, next: 1 });
+    await this.deliveryDb.createIndex({ watch: 1, created: -1 });
+  }
+
+  /**
+   * Remove everything built from the chain, so it can
+   * be indexed again. Watches and deliveries are kept.
+   * @returns {Promise}
+   */
+  async reset() {
+    const collections = [
+      this.blockDb, this.txDb, this.coinDb, this.addressDb,
+      this.nameDb, this.recordDb, this.claimDb, this.airdropDb,
+      this.summaryDb, this.snapshotDb, this.stateDb
+    ];
+
+    for (const collection of collections)
+      await collection.deleteMany({});
   }
 }
 
@@ -1,17 +1,245 @@
 'use strict';
 
 const EventEmitter = require('events');
+const { domainToASCII, domainToUnicode } = require('url');
 const assert = require('bsert');
 
-const { Network, Address } = require('hsd');
+const { Network, Address, Covenant } = require('hsd');
 const consensus = require('hsd/lib/protocol/consensus');
+const policy = require('hsd/lib/protocol/policy');
 const rules = require('hsd/lib/covenants/rules');
-const { states } = require('hsd/lib/covenants/namestate');
+const { states, statesByVal } = require('hsd/lib/covenants/namestate');
+const reserved = require('hsd/lib/covenants/reserved');
 
 const util = require('./util');
+const names = require('./names');
 const pools = require('./configs/pool.json');
 const Db = require('./db');
 
+/**
+ * Name statuses that can be listed, see {@link Hnscan#getStatusQuery}.
+ * @const {String[]}
+ */
+const NAME_STATUSES = [
+  'OPENING',
+  'LOCKED',
+  'BIDDING',
+  'REVEAL',
+  'CLOSED',
+  'TRANSFER',
+  'REVOKED',
+  'EXPIRED'
+];
+
+/**
+ * Character classes names can be filtered by.
+ * @const {Object}
+ */
+const CHAR_CLASSES = {
+  alpha: /^[a-z]+$/,
+  numeric: /^[0-9]+$/,
+  alphanumeric: /^[a-z0-9]+$/,
+  hyphen: /-/,
+  idn: /^xn--/
+};
+
+/**
+ * Names a search reads per match type before ranking them by value.
+ * @const {Number}
+ */
+const SEARCH_CANDIDATES = 1000;
+
+/**
+ * Characters allowed in names, used for typo suggestions.
+ * @const {String}
+ */
+const NAME_CHARS = 'abcdefghijklmnopqrstuvwxyz0123456789-_';
+
+/**
+ * Lower bounds of the mempool fee rate histogram buckets, per kB.
+ * @const {Number[]}
+ */
+const FEE_BUCKETS = [0, 1000, 2000, 5000, 10000, 20000, 50000, 100000, 200000, 500000, 1000000];
+
+const HOUR = 60 * 60;
+const DAY = 24 * HOUR;
+
+/**
+ * Chart granularities.
+ * @const {String[]}
+ */
+const INTERVALS = ['hour', 'day', 'week', 'month'];
+
+/**
+ * Aggregates applied to the points of a chart bucket.
+ * @const {String[]}
+ */
+const AGGREGATES = ['avg', 'sum', 'min', 'max', 'last'];
+
+/**
+ * Most hours an hourly chart may span.
+ * @const {Number}
+ */
+const MAX_HOURS = 31 * 24;
+
+/**
+ * Block fields summed into hourly chart points, as the
+ * daily summaries sum them for a day.
+ * @const {String[]}
+ */
+const BLOCK_SUMS = [
+  'txs',
+  'difficulty',
+  'supply',
+  'burned',
+  'airdropped',
+  'fees',
+  'feeSize',
+  'work',
+  'interval',
+  'opens',
+  'bids',
+  'bidLockup',
+  'reveals',
+  'revealValue',
+  'registers',
+  'renews',
+  'transfers',
+  'revokes'
+];
+
+/**
+ * Chart types. A point is either computed from the block sums of an
+ * hour or a day (`value`), or is a running total of a block field
+ * (`total`, kept as `summary` in the daily summaries) times `scale`.
+ * Values are summed in dollarydoos and charted in HNS. `agg` is the
+ * default aggregate and `fill` how hours or days without blocks are
+ * filled: with `zero` or by carrying the previous value.
+ * @const {Object}
+ */
+const CHARTS = {
+  difficulty: {
+    unit: 'difficulty',
+    agg: 'avg',
+    fill: 'carry',
+    value: s => (s.blocks > 0 ? s.difficulty / s.blocks : null)
+  },
+  dailyTransactions: {
+    unit: 'txs',
+    agg: 'sum',
+    fill: 'zero',
+    value: s => s.txs
+  },
+  dailyTotalTransactions: {
+    unit: 'txs',
+    agg: 'last',
+    fill: 'carry',
+    total: { field: 'txs', summary: 'totalTxs', scale: 1 }
+  },
+  supply: {
+    unit: 'HNS',
+    agg: 'last',
+    fill: 'carry',
+    total: { field: 'supply', summary: 'totalSupply', scale: 1e-6 }
+  },
+  burned: {
+    unit: 'HNS',
+    agg: 'last',
+    fill: 'carry',
+    total: { field: 'burned', summary: 'totalBurned', scale: 1e-6 }
+  },
+  airdropClaimed: {
+    unit: 'HNS',
+    agg: 'last',
+    fill: 'carry',
+    total: { field: 'airdropped', summary: 'totalAirdropped', scale: 1e-6 }
+  },
+  feeRate: {
+    unit: 'dollarydoos/kB',
+    agg: 'avg',
+    fill: 'zero',
+    value: s => (s.feeSize > 0 ? policy.getRate(s.feeSize, s.fees) : 0)
+  },
+  hashrate: {
+    unit: 'H/s',
+    agg: 'avg',
+    fill: 'carry',
+    value: s => (s.interval > 0 ? s.work / s.interval : null)
+  },
+  blockTime: {
+    unit: 's',
+    agg: 'avg',
+    fill: 'carry',
+    value: s => (s.blocks > 0 ? s.interval / s.blocks : null)
+  },
+  blocksPerDay: {
+    unit: 'blocks/day',
+    agg: 'avg',
+    fill: 'zero',
+    value: (s, size) => s.blocks * DAY / size
+  },
+  opens: {
+    unit: 'opens',
+    agg: 'sum',
+    fill: 'zero',
+    value: s => s.opens
+  },
+  bids: {
+    unit: 'bids',
+    agg: 'sum',
+    fill: 'zero',
+    value: s => s.bids
+  },
+  bidLockup: {
+    unit: 'HNS',
+    agg: 'sum',
+    fill: 'zero',
+    value: s => s.bidLockup / 1e6
+  },
+  reveals: {
+    unit: 'reveals',
+    agg: 'sum',
+    fill: 'zero',
+    value: s => s.reveals
+  },
+  revealValue: {
+    unit: 'HNS',
+    agg: 'sum',
+    fill: 'zero',
+    value: s => s.revealValue / 1e6
+  },
+  registers: {
+    unit: 'registers',
+    agg: 'sum',
+    fill: 'zero',
+    value: s => s.registers
+  },
+  renews: {
+    unit: 'renews',
+    agg: 'sum',
+    fill: 'zero',
+    value: s => s.renews
+  },
+  transfers: {
+    unit: 'transfers',
+    agg: 'sum',
+    fill: 'zero',
+    value: s => s.transfers
+  },
+  revokes: {
+    unit: 'revokes',
+    agg: 'sum',
+    fill: 'zero',
+    value: s => s.revokes
+  },
+  dailyBurned: {
+    unit: 'HNS',
+    agg: 'sum',
+    fill: 'zero',
+    value: s => s.burned / 1e6
+  }
+};
+
 /**
  * Hnscan
  * @alias module:hnscan.hnscanDB
@@ -43,6 +271,13 @@ class Hnscan extends EventEmitter {
       month: null,
       week: null
     };
+
+    this.supply = {
+      height: -1,
+      value: 0
+    };
+
+    this.reserved = null;
   }
 
   async init() {
@@ -120,8 +355,82 @@ class Hnscan extends EventEmitter {
     };
   }
 
-  async getNames(type, status, offset, limit) {
-    if (!type) return this.getNamesByStatus(status, limit, offset);
+  /**
+   * Get the transaction history of an address, newest first,
+   * with the value each transaction moved in and out of it.
+   * @param {Address} addr
+   * @param {Object?} cursor - {height, index} of the last tx of the previous page.
+   * @param {Number} limit
+   * @returns {Promise}
+   */
+  async getAddressHistory(addr, cursor, limit = 25) {
+    const address = addr.getHash().toString('hex');
+    const query = { addresses: address };
+
+    const total = await this.db.txDb.countDocuments(query);
+
+    if (cursor) {
+      query.$or = [
+        { height: { $lt: cursor.height } },
+        { height: cursor.height, index: { $lt: cursor.index } }
+      ];
+    }
+
+    const items = await this.db.txDb
+      .find(query)
+      .sort({ height: -1, index: -1 }).limit(limit)
+      .toArray();
+
+    const txids = items.map(item => item.txid);
+    const outputs = await this.db.coinDb.find({ txid: { $in: txids }, address }).toArray();
+    const inputs = await this.db.coinDb.find({ spentTxid: { $in: txids }, address }).toArray();
+
+    const result = [];
+    for (const item of items) {
+      const data = {
+        txid: item.txid,
+        height: item.height,
+        index: item.index,
+        time: item.time,
+        confirmations: this.chain.height - item.height + 1,
+        received: 0,
+        sent: 0,
+        delta: 0,
+        actions: []
+      };
+
+      const actions = new Set();
+
+      for (const coin of outputs) {
+        if (coin.txid !== item.txid) continue;
+        data.received += coin.value;
+        if (coin.type !== rules.types.NONE) actions.add(rules.typesByVal[coin.type]);
+      }
+
+      for (const coin of inputs) {
+        if (coin.spentTxid !== item.txid) continue;
+        data.sent += coin.value;
+        if (coin.type !== rules.types.NONE) actions.add(rules.typesByVal[coin.type]);
+      }
+
+      data.delta = data.received - data.sent;
+      data.actions = Array.from(actions);
+
+      result.push(data);
+    }
+
+    const last = items.length === limit ? items[items.length - 1] : null;
+
+    return {
+      limit,
+      total,
+      next: last ? `${last.height}:${last.index}` : null,
+      result
+    };
+  }
+
+  async getNames(type, filter, offset, limit) {
+    if (!type) return this.getNamesByFilter(filter, limit, offset);
 
     switch (type) {
       case 'monthBid':
@@ -136,33 +445,52 @@ class Hnscan extends EventEmitter {
     }
   }
 
-  async getNamesByStatus(status, limit = 10, offset = 0) {
-    const options = {};
+  /**
+   * List names from the indexed name state.
+   * @param {Object} filter
+   * @param {String?} filter.status - Name status, see {@link Hnscan#getStatusQuery}.
+   * @param {String?} filter.origin - `claimed`, `reserved` or `auction`.
+   * @param {Number?} filter.minLength
+   * @param {Number?} filter.maxLength
+   * @param {String?} filter.chars - Character class, see {@link CHAR_CLASSES}.
+   * @param {String?} filter.sort - `open`, `value`, `highest` or `expiry`.
+   * @param {Number?} filter.order - 1 or -1.
+   * @param {Number} limit
+   * @param {Number} offset
+   * @returns {Promise}
+   */
+  async getNamesByFilter(filter = {}, limit = 10, offset = 0) {
+    const height = this.chain.height;
+    const query = this.getFilterQuery(filter);
+    const sort = filter.sort || 'open';
+    const order = filter.order || -1;
 
-    if (status) {
-      const { max, min } = this.getRange(status);
-      options.open = { $gt: min, $lte: max };
-    }
+    const plain = !filter.origin && !filter.chars && filter.minLength == null && filter.maxLength == null;
+    const count = plain
+      ? await this.getNameCount(filter.status)
+      : await this.db.nameDb.countDocuments(query);
 
-    const count = await this.getNameCount(status);
-    const items = this.db.nameDb.aggregate()
-      .match(options)
-      .sort({ open: -1 })
+    const items = this.db.nameDb
+      .find(query)
+      .sort({ [sort]: order, nameHash: 1 })
       .skip(offset).limit(limit);
 
     const result = [];
     while (await items.hasNext()) {
       const item = await items.next();
-      const ns = await this.chain.db.getNameState(Buffer.from(item.nameHash, 'hex'));
-      const info = await ns.getJSON(this.chain.height, this.network);
+      const info = names.toNameState(item).getJSON(height, this.network);
 
       result.push({
         name: item.name,
         nameHash: item.nameHash,
         height: item.open,
-        state: info.state,
+        state: item.expiry <= height ? 'EXPIRED' : info.state,
         value: info.value,
-        highest: info.highest
+        highest: info.highest,
+        transfer: info.transfer,
+        expiry: item.expiry,
+        claimed: item.claimed !== 0,
+        reserved: item.reserved
       });
     }
 
@@ -174,6 +502,39 @@ class Hnscan extends EventEmitter {
     };
   }
 
+  /**
+   * Build the `name` collection query of a listing filter.
+   * @param {Object} filter - See {@link Hnscan#getNamesByFilter}.
+   * @returns {Object}
+   */
+  getFilterQuery(filter) {
+    const query = filter.status ? this.getStatusQuery(filter.status) : {};
+    const and = [];
+
+    switch (filter.origin) {
+      case 'claimed':
+        and.push({ claimed: { $ne: 0 } });
+        break;
+      case 'reserved':
+        and.push({ reserved: true });
+        break;
+      case 'auction':
+        and.push({ claimed: 0 });
+        break;
+    }
+
+    if (filter.chars) and.push({ name: CHAR_CLASSES[filter.chars] });
+
+    const length = [];
+    if (filter.minLength != null) length.push({ $gte: [{ $strLenBytes: '$name' }, filter.minLength] });
+    if (filter.maxLength != null) length.push({ $lte: [{ $strLenBytes: '$name' }, filter.maxLength] });
+    if (length.length > 0) and.push({ $expr: { $and: length } });
+
+    if (and.length > 0) query.$and = and;
+
+    return query;
+  }
+
   async getHighBidNames(type, limit = 10, offset = 0, force = false) {
     try {
       if (!force && this.highBidNames.month && this.highBidNames.week) {
@@ -216,8 +577,8 @@ class Hnscan extends EventEmitter {
           continue;
         }
 
-        const ns = await this.chain.db.getNameState(Buffer.from(item.nameHash, 'hex'));
-        const info = await ns.getJSON(this.chain.height, this.network);
+        const info = await this.db.nameDb.findOne({ nameHash: item.nameHash });
+        if (!info) continue;
 
         result.push({
           name: info.name,
@@ -250,8 +611,7 @@ class Hnscan extends EventEmitter {
     const result = [];
     while (await items.hasNext()) {
       const item = await items.next();
-      const ns = await this.chain.db.getNameState(Buffer.from(item.nameHash, 'hex'));
-      const info = await ns.getJSON(this.chain.height, this.network);
+      const info = names.toNameState(item).getJSON(this.chain.height, this.network);
 
       result.push({
         name: item.name,
@@ -270,217 +630,597 @@ class Hnscan extends EventEmitter {
     };
   }
 
-  getRange(status) {
+  /**
+   * Build the `name` collection query matching a name status at the
+   * chain tip: any hsd state, `transfer` (closed with a transfer in
+   * progress) or `expired`. Only `expired` includes expired names.
+   * @param {String} status
+   * @returns {Object}
+   */
+  getStatusQuery(status) {
     const height = this.chain.height;
-    const treeInterval = this.network.names.treeInterval + 1;
-    const openPeriod = treeInterval;
-    const biddingPeriod = this.network.names.biddingPeriod;
-    const revealPeriod = this.network.names.revealPeriod;
-
-    switch (states[status.toUpperCase()]) {
-      case states.OPENING:
-        return {
-          min: height - openPeriod,
-          max: height
-        };
+    const { treeInterval, biddingPeriod, revealPeriod, lockupPeriod } = this.network.names;
+    const openPeriod = treeInterval + 1;
+    const auctionPeriod = openPeriod + biddingPeriod + revealPeriod;
+    const live = { expiry: { $gt: height } };
 
-      case states.BIDDING:
-        return {
-          min: height - openPeriod - biddingPeriod,
-          max: height - openPeriod
-        };
+    switch (status.toUpperCase()) {
+      case 'OPENING':
+        return Object.assign(live, {
+          claimed: 0,
+          revoked: 0,
+          open: { $gt: height - openPeriod }
+        });
 
-      case states.REVEAL:
-        return {
-          min: height - openPeriod - biddingPeriod - revealPeriod,
-          max: height - openPeriod - biddingPeriod
-        };
+      case 'BIDDING':
+        return Object.assign(live, {
+          claimed: 0,
+          revoked: 0,
+          open: { $gt: height - openPeriod - biddingPeriod, $lte: height - openPeriod }
+        });
 
-      case states.CLOSED:
-        return {
-          min: 0,
-          max: height - openPeriod - biddingPeriod - revealPeriod
-        };
+      case 'REVEAL':
+        return Object.assign(live, {
+          claimed: 0,
+          revoked: 0,
+          open: { $gt: height - auctionPeriod, $lte: height - openPeriod - biddingPeriod }
+        });
+
+      case 'LOCKED':
+        return Object.assign(live, {
+          claimed: { $ne: 0 },
+          revoked: 0,
+          open: { $gt: height - lockupPeriod }
+        });
+
+      case 'CLOSED':
+        return Object.assign(live, {
+          revoked: 0,
+          $or: [
+            { claimed: 0, open: { $lte: height - auctionPeriod } },
+            { claimed: { $ne: 0 }, open: { $lte: height - lockupPeriod } }
+          ]
+        });
+
+      case 'TRANSFER':
+        return Object.assign(this.getStatusQuery('CLOSED'), {
+          transfer: { $ne: 0 }
+        });
+
+      case 'REVOKED':
+        return Object.assign(live, {
+          revoked: { $ne: 0 }
+        });
+
+      case 'EXPIRED':
+        return { expiry: { $lte: height } };
 
       default:
-        return { max: 0, min: 0 };
+        throw new Error(`Unknown name status: ${status}.`);
     }
   }
 
   async getAddress(addr) {
     const address = addr.getHash().toString('hex');
-    const items = await this.db.coinDb.aggregate()
-      .match({ address: address })
-      .group({
-        _id: '$address',
-        received: { $sum: '$value' },
-        sent: {
-          $sum: {
-            $cond: {
-              if: { $and: [{ $eq: ['$spent', true] }] },
-              then: '$value',
-              else: 0
-            }
-          }
-        }
-      }).toArray();
+    const item = await this.db.addressDb.findOne({ address });
+
+    const balance = {
+      spendable: item ? item.spendable : 0,
+      auction: item ? item.auction : 0,
+      name: item ? item.name : 0,
+      burned: item ? item.burned : 0
+    };
+
+    const received = item ? item.received : 0;
+    const sent = item ? item.spent : 0;
 
-    const item = items && items[0] ? items[0] : { received: 0, sent: 0 };
     return {
       hash: addr.toString(this.network.type),
-      received: item.received,
-      spent: item.sent,
-      confirmed: item.received - item.sent,
-      unconfirmed: 0
+      received: received,
+      spent: sent,
+      confirmed: received - sent,
+      unconfirmed: await this.getUnconfirmedDelta(addr),
+      balance: balance
     };
   }
 
-  async getBlock(height, details = true) {
-    const block = await this.chain.getBlock(height);
-    const view = await this.chain.getBlockView(block);
-    if (!view) return;
-
-    const entry = await this.chain.getEntryByHeight(height);
-    if (!entry) return;
-
-    const mtp = await this.chain.getMedianTime(entry);
-    const next = await this.chain.getNextHash(entry.hash);
+  async getRichList(offset = 0, limit = 25) {
+    const supply = await this.getCirculatingSupply();
+    const total = await this.db.addressDb.estimatedDocumentCount();
+    const items = await this.db.addressDb
+      .find().sort({ spendable: -1 }).skip(offset).limit(limit)
+      .toArray();
 
-    let cbOutput = block.txs[0].outputs[0].value;
+    const snapshots = await this.db.snapshotDb
+      .find({ key: /^richlist:/ })
+      .sort({ time: -1 }).limit(30)
+      .toArray();
 
-    //Need to get reward here.
-    let reward = consensus.getReward(height, this.network.halvingInterval);
-    let fees = cbOutput - reward;
-    let miner = block.txs[0].outputs[0].address.toString(this.network.type);
+    const result = [];
+    for (const [i, item] of items.entries()) {
+      const history = [];
 
-    let pool = {};
-    for (const item in pools) {
-      const match = pools[item].address.indexOf(miner);
-      if (match !== -1) {
-        pool = {
-          url: pools[item].url,
-          name: item
-        }
+      for (const snapshot of snapshots) {
+        const rank = snapshot.items.find(e => e.address === item.address);
+        history.push({ time: snapshot.time, rank: rank ? rank.rank : null });
       }
-    }
-
-    let txs = [];
 
-    if (details) {
-      for (const tx of block.txs) {
-        const json = await this.getTransaction(tx.hash());
-        txs.push(json);
-      }
+      result.push({
+        rank: offset + i + 1,
+        address: this.toAddress(item.address),
+        balance: item.spendable,
+        share: supply > 0 ? item.spendable / supply : 0,
+        history: history
+      });
     }
 
     return {
-      hash: entry.hash.toString('hex'),
-      confirmations: this.chain.height - entry.height + 1,
-      strippedSize: block.getBaseSize(),
-      size: block.getSize(),
-      weight: block.getWeight(),
-      height: entry.height,
-      version: entry.version,
-      merkleRoot: entry.merkleRoot.toString('hex'),
-      witnessRoot: entry.witnessRoot.toString('hex'),
-      treeRoot: entry.treeRoot.toString('hex'),
-      mask: entry.mask.toString('hex'),
-      reservedRoot: entry.reservedRoot.toString('hex'),
-      coinbase: details ? block.txs[0].inputs[0].witness.toJSON() : undefined,
-      tx: details ? txs : undefined,
-      txs: block.txs.length,
-      reward: cbOutput,
-      fees,
-      miner,
-      pool,
-      averageFee: fees / block.txs.length,
-      time: entry.time,
-      medianTime: mtp,
-      bits: entry.bits,
-      difficulty: util.toDifficulty(entry.bits),
-      chainwork: entry.chainwork.toString('hex', 64),
-      prevBlock: !entry.prevBlock.equals(consensus.ZERO_HASH) ? entry.prevBlock.toString('hex') : null,
-      nextHash: next ? next.toString('hex') : null,
-      nonce: entry.nonce
+      limit,
+      offset,
+      total,
+      supply,
+      result
     };
   }
 
-  async getTransaction(hash) {
-    const meta = await this.node.getMeta(hash);
-    if (!meta) return;
+  /**
+   * Get the value held by all addresses, excluding burned coins:
+   * spendable, auction lockups and claims not registered yet,
+   * the same value hsd counts in its chain state.
+   * Cached until the next block.
+   * @returns {Promise} - Returns Number.
+   */
+  async getCirculatingSupply() {
+    if (this.supply.height === this.chain.height) return this.supply.value;
 
-    const view = await this.node.getMetaView(meta);
-    let tx = meta.getJSON(this.network.type, view, this.chain.height);
+    const items = await this.db.addressDb.aggregate()
+      .group({
+        _id: null,
+        spendable: { $sum: '$spendable' },
+        auction: { $sum: '$auction' },
+        name: { $sum: '$name' }
+      }).toArray();
 
-    //Might want index in both inputs and outputs
-    const inputs = [];
+    const item = items && items[0] ? items[0] : { spendable: 0, auction: 0, name: 0 };
 
-    let index = 0;
-    for (const input of tx.inputs) {
-      const json = {
-        airdrop: undefined,
-        coinbase: undefined,
-        value: undefined,
-        address: undefined
-      };
+    this.supply.height = this.chain.height;
+    this.supply.value = item.spendable + item.auction + item.name;
 
-      if (!input.coin) {
-        if (index === 0) {
-          json.value = consensus.getReward(tx.height, this.network.halvingInterval);
-          json.coinbase = true;
-        } else {
-          json.airdrop = true;
-        }
-      } else {
-        json.value = input.coin.value;
-        json.address = input.coin.address;
+    return this.supply.value;
+  }
+
+  /**
+   * Get the net value mempool transactions move
+   * in and out of an address.
+   * @param {Address} addr
+   * @returns {Promise} - Returns Number.
+   */
+  async getUnconfirmedDelta(addr) {
+    const mempool = this.node.mempool;
+    if (!mempool) return 0;
+
+    const hash = addr.getHash();
+    let delta = 0;
+
+    for (const tx of mempool.getTXByAddress(addr)) {
+      for (const output of tx.outputs) {
+        if (output.address.getHash().equals(hash)) delta += output.value;
       }
 
-      inputs.push(json);
-      index++;
-    }
+      for (const { prevout } of tx.inputs) {
+        const parent = mempool.getTX(prevout.hash);
 
-    const outputs = [];
+        if (parent) {
+          const output = parent.outputs[prevout.index];
+          if (output && output.address.getHash().equals(hash)) delta -= output.value;
+          continue;
+        }
 
-    for (let i = 0; i < tx.outputs.length; i++) {
-      const output = tx.outputs[i];
+        const coin = await this.db.coinDb.findOne({ txid: prevout.txid(), index: prevout.index });
+        if (coin && coin.address === hash.toString('hex')) delta -= coin.value;
+      }
+    }
 
-      const json = {
-        action: output.covenant.action,
-        address: output.address,
-        value: undefined,
-        name: undefined,
-        nameHash: undefined
-      };
+    return delta;
+  }
 
-      switch (json.action) {
-        case 'NONE':
-          json.value = output.value;
-          break;
+  /**
+   * Filter and sort mempool entries.
+   * @param {MempoolEntry[]} entries
+   * @param {Object} filter
+   * @param {Number[]?} filter.types - Only txs with an output of these covenant types.
+   * @param {Number?} filter.minRate - Fee rate per kB.
+   * @param {Number?} filter.maxRate
+   * @param {Number?} filter.minSize - Virtual size.
+   * @param {Number?} filter.maxSize
+   * @param {String?} filter.sort - `time`, `rate`, `fee` or `size`.
+   * @param {Number?} filter.order - 1 or -1.
+   * @returns {MempoolEntry[]}
+   */
+  filterMempool(entries, filter = {}) {
+    const { types, minRate, maxRate, minSize, maxSize } = filter;
+    const sort = filter.sort || 'time';
+    const order = filter.order || -1;
 
-        case 'OPEN':
-          json.name = Buffer.from(output.covenant.items[2], 'hex').toString();
-          break;
+    const result = entries.filter((entry) => {
+      const rate = entry.getRate();
 
-        case 'BID':
-          json.name = Buffer.from(output.covenant.items[2], 'hex').toString();
-          json.value = output.value;
-          break;
+      if (minRate != null && rate < minRate) return false;
+      if (maxRate != null && rate > maxRate) return false;
+      if (minSize != null && entry.size < minSize) return false;
+      if (maxSize != null && entry.size > maxSize) return false;
+      if (types && !entry.tx.outputs.some(output => types.includes(output.covenant.type))) return false;
 
-        case 'REVEAL':
-          json.nonce = output.covenant.items[2];
-          json.value = output.value;
-          break;
+      return true;
+    });
 
-        case 'REDEEM':
-          break;
+    const key = (entry) => {
+      switch (sort) {
+        case 'rate':
+          return entry.getRate();
+        case 'fee':
+          return entry.fee;
+        case 'size':
+          return entry.size;
+        default:
+          return entry.time;
       }
+    };
 
-      if (json.action != 'NONE') {
+    return result.sort((a, b) => (key(a) - key(b)) * order);
+  }
+
+  /**
+   * Get aggregates of mempool entries: totals, fee rate histogram,
+   * outputs per covenant type and the oldest entry.
+   * @param {MempoolEntry[]} entries
+   * @returns {Object}
+   */
+  getMempoolStats(entries) {
+    const histogram = FEE_BUCKETS.map((min, i) => ({
+      min: min,
+      max: i + 1 < FEE_BUCKETS.length ? FEE_BUCKETS[i + 1] : null,
+      count: 0,
+      size: 0,
+      fees: 0
+    }));
+
+    const covenants = {};
+    for (const type of Object.keys(rules.types)) covenants[type] = 0;
+
+    let size = 0;
+    let weight = 0;
+    let fees = 0;
+    let oldest = null;
+
+    for (const entry of entries) {
+      const rate = entry.getRate();
+
+      size += entry.size;
+      weight += entry.tx.getWeight();
+      fees += entry.fee;
+
+      let bucket = histogram.length - 1;
+      while (bucket > 0 && rate < histogram[bucket].min) bucket--;
+
+      histogram[bucket].count += 1;
+      histogram[bucket].size += entry.size;
+      histogram[bucket].fees += entry.fee;
+
+      for (const output of entry.tx.outputs) covenants[rules.typesByVal[output.covenant.type]] += 1;
+
+      if (!oldest || entry.time < oldest.time) oldest = entry;
+    }
+
+    return {
+      count: entries.length,
+      size,
+      weight,
+      fees,
+      histogram,
+      covenants,
+      oldest: oldest
+        ? { txid: oldest.txid(), time: oldest.time, age: util.now() - oldest.time }
+        : null
+    };
+  }
+
+  async getNamesByAddress(addr, sort = 'expiry', order = 1, offset = 0, limit = 25) {
+    const height = this.chain.height;
+    const query = {
+      ownerAddress: addr.getHash().toString('hex'),
+      expiry: { $gt: height }
+    };
+
+    const total = await this.db.nameDb.countDocuments(query);
+    const items = this.db.nameDb
+      .find(query)
+      .sort({ [sort]: order }).skip(offset).limit(limit);
+
+    const result = [];
+    while (await items.hasNext()) {
+      const item = await items.next();
+      const info = names.toNameState(item).getJSON(height, this.network);
+
+      result.push({
+        name: item.name,
+        nameHash: item.nameHash,
+        state: info.state,
+        owner: info.owner,
+        value: info.value,
+        highest: info.highest,
+        registered: info.registered,
+        renewal: info.renewal,
+        renewals: info.renewals,
+        expiry: item.expiry,
+        expiryTime: this.getExpectedTime(item.expiry),
+        transfer: info.transfer,
+        finalize: info.transfer !== 0 ? info.transfer + this.network.names.transferLockup : 0,
+        revoked: info.revoked
+      });
+    }
+
+    return {
+      limit,
+      offset,
+      total,
+      result
+    };
+  }
+
+  /**
+   * Get registered names expiring within a number of blocks, soonest first.
+   * @param {Number} within - Blocks from the chain tip.
+   * @param {Number} offset
+   * @param {Number} limit
+   * @returns {Promise}
+   */
+  async getExpiringNames(within, offset = 0, limit = 25) {
+    const height = this.chain.height;
+    const query = {
+      registered: true,
+      revoked: 0,
+      expiry: { $gt: height, $lte: height + within }
+    };
+
+    const total = await this.db.nameDb.countDocuments(query);
+    const items = this.db.nameDb
+      .find(query)
+      .sort({ expiry: 1 }).skip(offset).limit(limit);
+
+    const result = [];
+    while (await items.hasNext()) {
+      const item = await items.next();
+
+      result.push({
+        name: item.name,
+        nameHash: item.nameHash,
+        ownerAddress: this.toAddress(item.ownerAddress),
+        value: item.value,
+        renewal: item.renewal,
+        renewals: item.renewals,
+        expiry: item.expiry,
+        blocksUntil: item.expiry - height,
+        expiryTime: this.getExpectedTime(item.expiry)
+      });
+    }
+
+    return {
+      limit,
+      offset,
+      total,
+      within,
+      result
+    };
+  }
+
+  /**
+   * Estimate when a future block will be mined from the target spacing.
+   * @param {Number} height
+   * @returns {Number} - Unix time.
+   */
+  getExpectedTime(height) {
+    const tip = this.chain.tip;
+    return tip.time + (height - tip.height) * this.network.pow.targetSpacing;
+  }
+
+  async getUnspentByAddress(addr, offset = 0, limit = 25) {
+    const height = this.chain.height;
+    const query = {
+      address: addr.getHash().toString('hex'),
+      spent: false
+    };
+
+    const total = await this.db.coinDb.countDocuments(query);
+    const items = await this.db.coinDb
+      .find(query)
+      .sort({ height: -1 }).skip(offset).limit(limit)
+      .toArray();
+
+    const hashes = items.filter(item => item.nameHash).map(item => item.nameHash);
+    const nameItems = await this.db.nameDb
+      .find({ nameHash: { $in: hashes } })
+      .project({ nameHash: 1, name: 1 })
+      .toArray();
+
+    const nameMap = new Map(nameItems.map(item => [item.nameHash, item.name]));
+
+    const result = [];
+    for (const item of items) {
+      const lock = util.getLock(item.type);
+      const coinbase = item.txIndex === 0;
+      const mature = !coinbase || height + 1 - item.height >= this.network.coinbaseMaturity;
+
+      result.push({
+        txid: item.txid,
+        index: item.index,
+        value: item.value,
+        height: item.height,
+        confirmations: height - item.height + 1,
+        coinbase: coinbase,
+        action: rules.typesByVal[item.type],
+        name: item.nameHash ? nameMap.get(item.nameHash) || null : null,
+        nameHash: item.nameHash || null,
+        covenant: item.covenant,
+        lock: lock,
+        spendable: lock === 'spendable' && mature
+      });
+    }
+
+    return {
+      limit,
+      offset,
+      total,
+      result
+    };
+  }
+
+  async getBlock(height, details = true) {
+    const block = await this.chain.getBlock(height);
+    const view = await this.chain.getBlockView(block);
+    if (!view) return;
+
+    const entry = await this.chain.getEntryByHeight(height);
+    if (!entry) return;
+
+    const mtp = await this.chain.getMedianTime(entry);
+    const next = await this.chain.getNextHash(entry.hash);
+
+    let cbOutput = block.txs[0].outputs[0].value;
+
+    //Need to get reward here.
+    let reward = consensus.getReward(height, this.network.halvingInterval);
+    let fees = cbOutput - reward;
+    let miner = block.txs[0].outputs[0].address.toString(this.network.type);
+
+    let pool = {};
+    for (const item in pools) {
+      const match = pools[item].address.indexOf(miner);
+      if (match !== -1) {
+        pool = {
+          url: pools[item].url,
+          name: item
+        }
+      }
+    }
+
+    let txs = [];
+
+    if (details) {
+      for (const tx of block.txs) {
+        const json = await this.getTransaction(tx.hash());
+        txs.push(json);
+      }
+    }
+
+    return {
+      hash: entry.hash.toString('hex'),
+      confirmations: this.chain.height - entry.height + 1,
+      strippedSize: block.getBaseSize(),
+      size: block.getSize(),
+      weight: block.getWeight(),
+      height: entry.height,
+      version: entry.version,
+      merkleRoot: entry.merkleRoot.toString('hex'),
+      witnessRoot: entry.witnessRoot.toString('hex'),
+      treeRoot: entry.treeRoot.toString('hex'),
+      mask: entry.mask.toString('hex'),
+      reservedRoot: entry.reservedRoot.toString('hex'),
+      coinbase: details ? block.txs[0].inputs[0].witness.toJSON() : undefined,
+      tx: details ? txs : undefined,
+      txs: block.txs.length,
+      reward: cbOutput,
+      fees,
+      miner,
+      pool,
+      averageFee: fees / block.txs.length,
+      time: entry.time,
+      medianTime: mtp,
+      bits: entry.bits,
+      difficulty: util.toDifficulty(entry.bits),
+      chainwork: entry.chainwork.toString('hex', 64),
+      prevBlock: !entry.prevBlock.equals(consensus.ZERO_HASH) ? entry.prevBlock.toString('hex') : null,
+      nextHash: next ? next.toString('hex') : null,
+      nonce: entry.nonce
+    };
+  }
+
+  async getTransaction(hash) {
+    const meta = await this.node.getMeta(hash);
+    if (!meta) return;
+
+    const view = await this.node.getMetaView(meta);
+    let tx = meta.getJSON(this.network.type, view, this.chain.height);
+
+    //Might want index in both inputs and outputs
+    const inputs = [];
+
+    let index = 0;
+    for (const input of tx.inputs) {
+      const json = {
+        airdrop: undefined,
+        coinbase: undefined,
+        value: undefined,
+        address: undefined
+      };
+
+      if (!input.coin) {
+        if (index === 0) {
+          json.value = consensus.getReward(tx.height, this.network.halvingInterval);
+          json.coinbase = true;
+        } else {
+          json.airdrop = true;
+        }
+      } else {
+        json.value = input.coin.value;
+        json.address = input.coin.address;
+      }
+
+      inputs.push(json);
+      index++;
+    }
+
+    const outputs = [];
+
+    for (let i = 0; i < tx.outputs.length; i++) {
+      const output = tx.outputs[i];
+
+      const json = {
+        action: output.covenant.action,
+        address: output.address,
+        value: undefined,
+        name: undefined,
+        nameHash: undefined
+      };
+
+      switch (json.action) {
+        case 'NONE':
+          json.value = output.value;
+          break;
+
+        case 'OPEN':
+          json.name = Buffer.from(output.covenant.items[2], 'hex').toString();
+          break;
+
+        case 'BID':
+          json.name = Buffer.from(output.covenant.items[2], 'hex').toString();
+          json.value = output.value;
+          break;
+
+        case 'REVEAL':
+          json.nonce = output.covenant.items[2];
+          json.value = output.value;
+          break;
+
+        case 'REDEEM':
+          break;
+      }
+
+      if (json.action != 'NONE') {
         json.nameHash = output.covenant.items[0];
         if (!json.name) {
-          const ns = await this.chain.db.getNameState(Buffer.from(json.nameHash, 'hex'));
-          if (ns) json.name = ns.name.toString('binary');
+          const item = await this.db.nameDb.findOne({ nameHash: json.nameHash });
+          if (item) json.name = item.name;
         }
       }
       outputs.push(json);
@@ -497,15 +1237,16 @@ class Hnscan extends EventEmitter {
     const nameHash = rules.hashName(name);
     const reserved = rules.isReserved(nameHash, height + 1, this.network);
     const [start, week] = rules.getRollout(nameHash, this.network);
-    const ns = await this.chain.db.getNameState(nameHash);
+    const item = await this.db.nameDb.findOne({ nameHash: nameHash.toString('hex') });
 
     let info = null;
 
-    if (ns) {
+    if (item) {
+      const ns = names.toNameState(item);
       if (!ns.isExpired(height, this.network)) info = ns.getJSON(height, this.network.type);
     }
 
-    const bidData = await this.getNameBids(nameHash.toString('hex'), start);
+    const bidData = await this.getNameBids(nameHash.toString('hex'));
 
     const data = {
       name: name,
@@ -522,6 +1263,12 @@ class Hnscan extends EventEmitter {
       transfer: info ? info.transfer : 0,
       highest: info ? info.highest : 0,
       revoked: info ? info.revoked : 0,
+      owner: info ? info.owner : null,
+      ownerAddress: info ? this.toAddress(item.ownerAddress) : null,
+      registered: info ? info.registered : false,
+      registeredHeight: info ? item.registeredHeight : 0,
+      expiry: info ? item.expiry : 0,
+      expiryTime: info ? this.getExpectedTime(item.expiry) : null,
       blocksUntil: info ? Object.values(info.stats)[2] : null
     };
 
@@ -544,56 +1291,192 @@ class Hnscan extends EventEmitter {
     return data;
   }
 
-  async getNameBids(nameHash, open) {
-    const items = this.db.coinDb.aggregate().match({ nameHash: nameHash });
+  /**
+   * Encode an indexed address hash.
+   * @param {String?} hash
+   * @returns {String|null}
+   */
+  toAddress(hash) {
+    if (!hash) return null;
+    return Address.fromHash(Buffer.from(hash, 'hex')).toString(this.network.type);
+  }
 
-    const bids = [];
-    const winner = { txid: '', index: -1, value: -1 };
+  /**
+   * Get the bids of the latest auction of a name.
+   * @param {String} nameHash
+   * @returns {Promise} - Returns bids, see {@link Hnscan#getNameAuctions}.
+   */
+  async getNameBids(nameHash) {
+    const auctions = await this.getNameAuctions(nameHash);
 
-    while (await items.hasNext()) {
-      const item = await items.next();
-      if (item.type != rules.types.BID) continue;
+    if (auctions.length === 0) return [];
 
-      const data = {
-        txid: item.txid,
+    return auctions[auctions.length - 1].bids;
+  }
+
+  /**
+   * Get every auction round of a name, oldest first. Coins are replayed
+   * into the name state so a round ends whenever the name expires and
+   * is opened again.
+   * @param {String} nameHash
+   * @returns {Promise}
+   */
+  async getNameAuctions(nameHash) {
+    const height = this.chain.height;
+    const { treeInterval, biddingPeriod, revealPeriod, lockupPeriod } = this.network.names;
+    const openPeriod = treeInterval + 1;
+
+    const items = await this.db.coinDb
+      .find({ nameHash })
+      .sort({ height: 1, txIndex: 1, index: 1 })
+      .toArray();
+
+    const coins = new Map();
+    for (const item of items) coins.set(`${item.txid}:${item.index}`, item);
+
+    const record = names.create(nameHash);
+    const rounds = [];
+    let round = null;
+
+    for (const item of items) {
+      const covenant = new Covenant(item.type, item.covenant.map(i => Buffer.from(i, 'hex')));
+
+      const touched = names.connect(record, {
+        covenant: covenant,
+        value: item.value,
+        hash: Buffer.from(item.txid, 'hex'),
         index: item.index,
-        lockup: parseInt(item.value),
-        reveal: {},
-        revealed: false,
-        time: item.time,
-        value: 0,
-        win: false
-      };
+        address: item.address
+      }, item.height, this.network);
+
+      if (!touched) continue;
+
+      const { ns } = record;
+
+      if (!round || round.open !== ns.height) {
+        const closed = ns.claimed !== 0
+          ? ns.height + lockupPeriod
+          : ns.height + openPeriod + biddingPeriod + revealPeriod;
+
+        round = {
+          open: ns.height,
+          claimed: ns.claimed !== 0,
+          bidding: { start: ns.height + openPeriod, end: ns.height + openPeriod + biddingPeriod - 1 },
+          reveal: { start: ns.height + openPeriod + biddingPeriod, end: closed - 1 },
+          closed: closed,
+          closeTime: closed > height ? this.getExpectedTime(closed) : null,
+          state: 'CLOSED',
+          bids: [],
+          lockup: 0,
+          revealed: 0,
+          winner: null,
+          price: 0,
+          registered: null
+        };
+
+        rounds.push(round);
+      }
+
+      switch (item.type) {
+        case rules.types.BID:
+          round.bids.push(this.toBid(item, coins, round));
+          round.lockup += item.value;
+          break;
 
-      if (item.spent && item.spentTxid) {
-        const reveal = await this.db.coinDb.findOne({
-          txid: item.spentTxid,
-          index: item.spentIndex
-        });
+        case rules.types.REVEAL:
+          round.revealed += item.value;
+
+          // Same rule as hsd: ties go to the earliest reveal.
+          if (!round.winner || item.value > round.winner.value) {
+            if (round.winner) round.price = round.winner.value;
+            round.winner = {
+              txid: item.txid,
+              index: item.index,
+              address: this.toAddress(item.address),
+              value: item.value
+            };
+          } else if (item.value > round.price) {
+            round.price = item.value;
+          }
+          break;
 
-        data.revealed = true;
-        data.reveal.txid = reveal.txid;
-        data.reveal.index = reveal.index;
-        data.value = reveal.value;
+        case rules.types.CLAIM:
+          round.winner = {
+            txid: item.txid,
+            index: item.index,
+            address: this.toAddress(item.address),
+            value: 0
+          };
+          break;
 
-        if (item.height > open && reveal.value > winner.value) {
-          winner.txid = reveal.txid;
-          winner.index = reveal.index;
-          winner.value = reveal.value;
-        }
+        case rules.types.REGISTER:
+          if (!round.registered) round.registered = { txid: item.txid, index: item.index, height: item.height };
+          break;
       }
-
-      bids.push(data);
     }
 
-    if (winner.value >= 0) {
-      for (const bid of bids) {
-        if (bid.txid !== winner.txid || bid.index !== winner.index) continue;
-        bid.win = true;
+    if (round && !record.ns.isExpired(height, this.network)) round.state = statesByVal[record.ns.state(height, this.network)];
+
+    for (const round of rounds) {
+      if (!round.winner || round.claimed) continue;
+
+      for (const bid of round.bids) {
+        if (!bid.reveal) continue;
+        bid.win = bid.reveal.txid === round.winner.txid && bid.reveal.index === round.winner.index;
       }
     }
 
-    return bids;
+    return rounds;
+  }
+
+  /**
+   * Describe a BID coin with its reveal and redemption.
+   * @private
+   * @param {Object} item - BID coin.
+   * @param {Map} coins - Coins of the name by outpoint.
+   * @param {Object} round
+   * @returns {Object}
+   */
+  toBid(item, coins, round) {
+    const height = this.chain.height;
+    const reveal = item.spent ? coins.get(`${item.spentTxid}:${item.spentIndex}`) : null;
+
+    const bid = {
+      txid: item.txid,
+      index: item.index,
+      height: item.height,
+      time: item.time,
+      address: this.toAddress(item.address),
+      blind: item.covenant[3],
+      lockup: item.value,
+      revealed: !!reveal,
+      reveal: null,
+      value: 0,
+      win: false,
+      status: 'pending'
+    };
+
+    if (reveal) {
+      const redeem = reveal.spent ? coins.get(`${reveal.spentTxid}:${reveal.spentIndex}`) : null;
+
+      bid.value = reveal.value;
+      bid.status = 'revealed';
+      bid.reveal = {
+        txid: reveal.txid,
+        index: reveal.index,
+        height: reveal.height,
+        time: reveal.time,
+        // Losing reveals are spent by a REDEEM, the winner by its REGISTER.
+        redeem: redeem
+          ? { txid: redeem.txid, index: redeem.index, height: redeem.height, type: rules.typesByVal[redeem.type] }
+          : null
+      };
+    } else if (height > round.reveal.end) {
+      // Lockups that are never revealed are lost.
+      bid.status = 'forfeited';
+    }
+
+    return bid;
   }
 
   async getPeers(offset = 0, limit = 10) {
@@ -642,13 +1525,33 @@ class Hnscan extends EventEmitter {
     return [peers, total];
   }
 
-  async getNameHistory(name, offset = 0, limit = 25) {
+  /**
+   * Get the covenants of a name, newest first.
+   * @param {String} name
+   * @param {Object} filter
+   * @param {Number[]?} filter.types - Covenant types to include.
+   * @param {Number?} filter.start - Lowest height.
+   * @param {Number?} filter.end - Highest height.
+   * @param {Number} offset
+   * @param {Number} limit - 0 for no limit.
+   * @returns {Promise} - Returns [events, total].
+   */
+  async getNameHistory(name, filter = {}, offset = 0, limit = 25) {
     const nameHash = rules.hashName(name);
+    const query = { nameHash: nameHash.toString('hex') };
+
+    if (filter.types) query.type = { $in: filter.types };
+
+    if (filter.start != null || filter.end != null) {
+      query.height = {};
+      if (filter.start != null) query.height.$gte = filter.start;
+      if (filter.end != null) query.height.$lte = filter.end;
+    }
 
-    const total = await this.db.coinDb.countDocuments({ nameHash: nameHash.toString('hex') });
+    const total = await this.db.coinDb.countDocuments(query);
     const items = this.db.coinDb
-      .find({ nameHash: nameHash.toString('hex') })
-      .sort({ time: -1 }).skip(offset).limit(limit);
+      .find(query)
+      .sort({ height: -1, txIndex: -1, index: -1 }).skip(offset).limit(limit);
 
     const result = [];
     while (await items.hasNext()) {
@@ -656,10 +1559,13 @@ class Hnscan extends EventEmitter {
 
       const data = {
         action: '',
+        type: rules.typesByVal[item.type],
         time: item.time,
         height: item.height,
         txid: item.txid,
-        index: item.index
+        index: item.index,
+        address: this.toAddress(item.address),
+        value: item.value
       };
 
       const status = rules.typesByVal[item.type].toLocaleLowerCase();
@@ -668,12 +1574,6 @@ class Hnscan extends EventEmitter {
           data.action = 'Opened';
           break;
 
-        case rules.types.BID:
-        case rules.types.REVEAL:
-          data.action = status.replace(/^\S/, (s) => s.toUpperCase());
-          data.value = item.value;
-          break;
-
         default:
           data.action = status.replace(/^\S/, (s) => s.toUpperCase());
           break;
@@ -685,6 +1585,372 @@ class Hnscan extends EventEmitter {
     return [result, total];
   }
 
+  async getNameRecords(name) {
+    const nameHash = rules.hashName(name).toString('hex');
+    const item = await this.db.nameDb.findOne({ nameHash });
+
+    if (!item) return null;
+
+    const last = await this.db.recordDb
+      .find({ nameHash }).sort({ height: -1 }).limit(1).toArray();
+
+    return {
+      name: item.name,
+      nameHash: nameHash,
+      height: last && last[0] ? last[0].height : null,
+      data: item.data,
+      records: item.records
+    };
+  }
+
+  async getNameRecordHistory(name, offset = 0, limit = 25) {
+    const nameHash = rules.hashName(name).toString('hex');
+
+    const total = await this.db.recordDb.countDocuments({ nameHash });
+    const items = this.db.recordDb
+      .find({ nameHash })
+      .sort({ height: -1 }).skip(offset).limit(limit);
+
+    const result = [];
+    while (await items.hasNext()) {
+      const item = await items.next();
+
+      result.push({
+        action: rules.typesByVal[item.type],
+        height: item.height,
+        time: item.time,
+        txid: item.txid,
+        index: item.index,
+        data: item.data,
+        records: item.records
+      });
+    }
+
+    return [result, total];
+  }
+
+  /**
+   * Find names by the content of their current DNS records.
+   * NS and glue names match exactly, TXT matches substrings.
+   * @param {String} type - Record type.
+   * @param {String} value
+   * @param {Number} offset
+   * @param {Number} limit
+   * @returns {Promise}
+   */
+  async searchRecords(type, value, offset = 0, limit = 25) {
+    const match = { type: type };
+
+    switch (type) {
+      case 'NS':
+        match.ns = toFQDN(value);
+        break;
+
+      case 'GLUE4':
+      case 'GLUE6':
+        if (isIP(value)) match.address = value.toLowerCase();
+        else match.ns = toFQDN(value);
+        break;
+
+      case 'SYNTH4':
+      case 'SYNTH6':
+        match.address = value.toLowerCase();
+        break;
+
+      case 'DS':
+        match.digest = value.toLowerCase();
+        break;
+
+      case 'TXT':
+        match.txt = { $regex: escapeRegExp(value), $options: 'i' };
+        break;
+
+      default:
+        throw new Error(`Unknown record type: ${type}.`);
+    }
+
+    const query = { records: { $elemMatch: match } };
+    const total = await this.db.nameDb.countDocuments(query);
+    const items = this.db.nameDb
+      .find(query)
+      .sort({ name: 1 }).skip(offset).limit(limit);
+
+    const result = [];
+    while (await items.hasNext()) {
+      const item = await items.next();
+
+      result.push({
+        name: item.name,
+        nameHash: item.nameHash,
+        ownerAddress: this.toAddress(item.ownerAddress),
+        records: item.records
+      });
+    }
+
+    return {
+      limit,
+      offset,
+      total,
+      result
+    };
+  }
+
+  /**
+   * Get indexed DNSSEC claims, newest first.
+   * @param {String?} q - Substring of the name or claimed domain.
+   * @param {Number} offset
+   * @param {Number} limit
+   * @returns {Promise}
+   */
+  async getClaims(q, offset = 0, limit = 25) {
+    const query = {};
+
+    if (q) {
+      const regex = { $regex: escapeRegExp(q.toLowerCase()) };
+      query.$or = [{ name: regex }, { target: regex }];
+    }
+
+    const total = await this.db.claimDb.countDocuments(query);
+    const items = await this.db.claimDb
+      .find(query, { projection: { _id: 0 } })
+      .sort({ height: -1, txid: 1, index: 1 })
+      .skip(offset).limit(limit)
+      .toArray();
+
+    for (const item of items) item.address = this.toAddress(item.address);
+
+    return {
+      limit,
+      offset,
+      total,
+      result: items
+    };
+  }
+
+  /**
+   * Browse hsd's reserved names with their claim status.
+   * @param {Boolean?} claimed - Only claimed or unclaimed names.
+   * @param {String?} q - Substring of the name or its domain.
+   * @param {Number} offset
+   * @param {Number} limit
+   * @returns {Promise}
+   */
+  async getReserved(claimed, q, offset = 0, limit = 25) {
+    if (!this.reserved) {
+      this.reserved = Array.from(reserved.values()).sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    const hashes = new Set(await this.db.claimDb.distinct('nameHash'));
+    const query = q ? q.toLowerCase() : null;
+
+    const items = this.reserved.filter((item) => {
+      if (claimed != null && hashes.has(item.hash.toString('hex')) !== claimed) return false;
+      if (query && !item.name.includes(query) && !item.target.includes(query)) return false;
+      return true;
+    });
+
+    const page = items.slice(offset, offset + limit);
+    const claims = await this.db.claimDb
+      .find({ nameHash: { $in: page.map(item => item.hash.toString('hex')) } })
+      .sort({ height: 1 })
+      .toArray();
+
+    // Keeps the latest claim of each name.
+    const latest = new Map();
+    for (const claim of claims) latest.set(claim.nameHash, claim);
+
+    const result = page.map((item) => {
+      const claim = latest.get(item.hash.toString('hex'));
+
+      return {
+        name: item.name,
+        nameHash: item.hash.toString('hex'),
+        target: item.target,
+        value: item.value,
+        root: item.root,
+        top100: item.top100,
+        claimed: !!claim,
+        claim: claim
+          ? { height: claim.height, time: claim.time, txid: claim.txid, weak: claim.weak }
+          : null
+      };
+    });
+
+    return {
+      limit,
+      offset,
+      total: items.length,
+      reserved: this.reserved.length,
+      claimed: hashes.size,
+      result
+    };
+  }
+
+  /**
+   * Get redeemed airdrop and faucet proofs, newest first.
+   * @param {Address?} addr - Recipient.
+   * @param {Number} offset
+   * @param {Number} limit
+   * @returns {Promise}
+   */
+  async getAirdrops(addr, offset = 0, limit = 25) {
+    const query = addr ? { address: addr.getHash().toString('hex') } : {};
+
+    const [totals] = await this.db.airdropDb.aggregate()
+      .match(query)
+      .group({
+        _id: null,
+        count: { $sum: 1 },
+        amount: { $sum: '$amount' }
+      }).toArray();
+
+    const items = await this.db.airdropDb
+      .find(query, { projection: { _id: 0 } })
+      .sort({ height: -1, index: 1 })
+      .skip(offset).limit(limit)
+      .toArray();
+
+    for (const item of items) item.address = this.toAddress(item.address);
+
+    return {
+      limit,
+      offset,
+      total: totals ? totals.count : 0,
+      claimed: totals ? totals.amount : 0,
+      result: items
+    };
+  }
+
+  /**
+   * Search names. Unicode queries are converted to punycode. Matches are
+   * grouped as exact, prefix, substring and fuzzy (one edit away), each
+   * group ranked by auction value.
+   * @param {String} query
+   * @param {Number} limit - Maximum matches per group.
+   * @returns {Promise}
+   */
+  async searchNames(query, limit = 10) {
+    const height = this.chain.height;
+    const name = normalizeName(query);
+
+    if (!name || name.length > 63) return [];
+
+    const seen = new Set([name]);
+    const result = [];
+
+    const add = (items, match) => {
+      const matches = items
+        .filter(item => !seen.has(item.name))
+        .sort((a, b) => b.value - a.value || b.highest - a.highest)
+        .slice(0, limit);
+
+      for (const item of matches) {
+        const info = names.toNameState(item).getJSON(height, this.network);
+
+        seen.add(item.name);
+        result.push({
+          name: item.name,
+          unicode: toUnicode(item.name),
+          nameHash: item.nameHash,
+          match: match,
+          state: item.expiry <= height ? 'EXPIRED' : info.state,
+          value: info.value,
+          highest: info.highest,
+          expiry: item.expiry,
+          reserved: item.reserved
+        });
+      }
+    };
+
+    const exact = await this.db.nameDb.findOne({ name });
+
+    if (exact) {
+      seen.delete(name);
+      add([exact], 'exact');
+    } else if (rules.verifyString(name)) {
+      // Never opened, but can still be looked up.
+      result.push({
+        name: name,
+        unicode: toUnicode(name),
+        nameHash: rules.hashName(name).toString('hex'),
+        match: 'exact',
+        state: 'INACTIVE',
+        value: 0,
+        highest: 0,
+        expiry: 0,
+        reserved: reserved.hasByName(name)
+      });
+    }
+
+    const prefix = await this.db.nameDb
+      .find({ name: { $regex: `^${escapeRegExp(name)}` } })
+      .sort({ name: 1 })
+      .limit(SEARCH_CANDIDATES)
+      .toArray();
+
+    add(prefix, 'prefix');
+
+    if (name.length >= 3) {
+      let substring = [];
+      try {
+        substring = await this.db.nameDb
+          .find({ suffixes: { $regex: `^${escapeRegExp(name)}` } })
+          .limit(SEARCH_CANDIDATES)
+          .maxTimeMS(5000)
+          .toArray();
+      } catch (e) {
+        if (e.codeName !== 'MaxTimeMSExpired') throw e;
+        this.logger.warning('Hnscan substring search for %s timed out.', name);
+      }
+
+      add(substring, 'substring');
+    }
+
+    const fuzzy = await this.db.nameDb
+      .find({ name: { $in: getEdits(name) } })
+      .toArray();
+
+    add(fuzzy, 'fuzzy');
+
+    return result;
+  }
+
+  /**
+   * Get the fee statistics of the latest indexed blocks, newest first.
+   * @param {Number} limit
+   * @returns {Promise}
+   */
+  async getBlockFees(limit = 10) {
+    const items = await this.db.blockDb
+      .find({}, {
+        projection: {
+          _id: 0,
+          height: 1,
+          hash: 1,
+          time: 1,
+          txs: 1,
+          fees: 1,
+          feeRateMin: 1,
+          feeRateMedian: 1,
+          feeRateMax: 1
+        }
+      })
+      .sort({ height: -1 })
+      .limit(limit)
+      .toArray();
+
+    return items;
+  }
+
+  /**
+   * Get the hashrate stored with the latest indexed block.
+   * @returns {Promise} - Returns hashes per second, 0 if not indexed.
+   */
+  async getHashRate() {
+    const block = await this.db.blockDb.findOne({}, { sort: { height: -1 }, projection: { hashrate: 1 } });
+    return block && block.hashrate ? block.hashrate : 0;
+  }
+
   async getPoolData(start, end) {
     const items = this.db.blockDb.aggregate()
       .match({ time: { $gt: start, $lte: end } })
@@ -715,13 +1981,11 @@ class Hnscan extends EventEmitter {
   async getNameCount(status) {
     if (!status) return this.db.nameDb.estimatedDocumentCount();
 
-
     const height = this.chain.height;
     status = status.toUpperCase();
-    if (height == this.nameCount.height && this.nameCount[status]) return this.nameCount[status];
+    if (height == this.nameCount.height && this.nameCount[status] != null) return this.nameCount[status];
 
-    const { max, min } = this.getRange(status);
-    return this.db.nameDb.countDocuments({ open: { $gt: min, $lte: max } });
+    return this.db.nameDb.countDocuments(this.getStatusQuery(status));
   }
 
   async checkNameCount() {
@@ -729,10 +1993,8 @@ class Hnscan extends EventEmitter {
       if (this.nameCount.height == this.chain.height) return;
 
       this.nameCount.height = this.chain.height;
-      const items = ['OPENING', 'BIDDING', 'REVEAL', 'CLOSED'];
-      for (const item of items) {
-        const { max, min } = this.getRange(item);
-        this.nameCount[item] = await this.db.nameDb.countDocuments({ open: { $gt: min, $lte: max } });
+      for (const item of NAME_STATUSES) {
+        this.nameCount[item] = await this.db.nameDb.countDocuments(this.getStatusQuery(item));
       }
     } catch (error) {
       this.logger.error(error);
@@ -743,67 +2005,240 @@ class Hnscan extends EventEmitter {
     }
   }
 
-  async getSeries(type, start, end) {
-    const items = this.db.summaryDb.aggregate().match({
-      time: { $gte: start, $lte: end }
-    });
+  /**
+   * Get the points of a chart. Hourly points are summed from the blocks,
+   * longer intervals are built from the daily summaries. Hours or days
+   * without blocks are filled before the points are bucketed.
+   * @param {String} type - Key of `CHARTS`.
+   * @param {Object} options
+   * @param {Number?} options.start - Defaults to genesis, or a week before
+   * `end` for hourly charts, which span at most `MAX_HOURS`.
+   * @param {Number?} options.end - Defaults to the tip.
+   * @param {String?} options.interval - `hour`, `day`, `week` (starting on
+   * Monday) or `month`. Default `day`.
+   * @param {String?} options.agg - Aggregate of the points in a bucket.
+   * Defaults to the one of the chart type.
+   * @returns {Promise}
+   */
+  async getSeries(type, options = {}) {
+    const chart = CHARTS[type];
+    assert(chart, `Unknown chart type: ${type}.`);
+
+    const interval = options.interval || 'day';
+    const agg = options.agg || chart.agg;
+
+    assert(INTERVALS.includes(interval), `Unknown interval: ${interval}.`);
+    assert(AGGREGATES.includes(agg), `Unknown aggregate: ${agg}.`);
+
+    const hourly = interval === 'hour';
+    const size = hourly ? HOUR : DAY;
+    const tip = this.chain.tip.time;
+    const end = Math.min(options.end != null ? options.end : tip, tip);
+
+    let start = options.start != null ? options.start : hourly ? end - 7 * DAY : 0;
+    start = Math.max(start, this.network.genesis.time);
+    if (hourly) start = Math.max(start, end - MAX_HOURS * HOUR);
+
+    const first = start - start % size;
+    const last = end - end % size;
+
+    const items = hourly
+      ? await this.getHourlySums(first, last + size)
+      : await this.db.summaryDb.find({ time: { $gte: first, $lte: last } }).toArray();
+
+    const sums = new Map(items.map(item => [item.time, item]));
+    const buckets = new Map();
+
+    const { total } = chart;
+    let running = total ? await this.getTotal(total, first) : 0;
+    let value = null;
+
+    for (let time = first; time <= last; time += size) {
+      const item = sums.get(time);
+
+      if (total) {
+        if (item) running = hourly ? running + item[total.field] : item[total.summary];
+        value = running * total.scale;
+      } else if (item) {
+        const next = chart.value(item, size);
+        if (next != null || chart.fill === 'zero') value = next || 0;
+      } else if (chart.fill === 'zero') {
+        value = 0;
+      }
+
+      const bucket = getBucket(time, interval);
+
+      if (!buckets.has(bucket)) buckets.set(bucket, []);
+
+      if (value != null) buckets.get(bucket).push(value);
+    }
 
     const result = [];
 
-    switch (type) {
-      case 'difficulty':
-        while (await items.hasNext()) {
-          const item = await items.next();
-          result.push({
-            date: item.time * 1000,
-            value: parseFloat((item.difficulty / item.blocks).toFixed(8))
-          });
-        }
-        break;
+    for (const [time, values] of buckets) {
+      result.push({
+        date: time * 1000,
+        value: aggregate(values, agg)
+      });
+    }
 
-      case 'dailyTransactions':
-        while (await items.hasNext()) {
-          const item = await items.next();
-          result.push({
-            date: item.time * 1000,
-            value: item.txs
-          });
-        }
-        break;
+    return {
+      type: type,
+      unit: chart.unit,
+      interval: interval,
+      agg: agg,
+      start: first,
+      end: end,
+      result: result
+    };
+  }
 
-      case 'dailyTotalTransactions':
-        while (await items.hasNext()) {
-          const item = await items.next();
-          result.push({
-            date: item.time * 1000,
-            value: item.totalTxs
-          });
-        }
-        break;
+  /**
+   * Sum the block fields of every hour in a range.
+   * @private
+   * @param {Number} start
+   * @param {Number} end - Exclusive.
+   * @returns {Promise}
+   */
+  async getHourlySums(start, end) {
+    const group = {
+      _id: { $subtract: ['$time', { $mod: ['$time', HOUR] }] },
+      blocks: { $sum: 1 }
+    };
 
-      case 'supply':
-        while (await items.hasNext()) {
-          const item = await items.next();
-          result.push({
-            date: item.time * 1000,
-            value: item.supply.toFixed(2)
-          });
-        }
-        break;
+    for (const field of BLOCK_SUMS) group[field] = { $sum: `$${field}` };
 
-      case 'burned':
-        while (await items.hasNext()) {
-          const item = await items.next();
-          result.push({
-            date: item.time * 1000,
-            value: item.burned.toFixed(2)
-          });
-        }
-        break;
+    const items = await this.db.blockDb.aggregate()
+      .match({ time: { $gte: start, $lt: end } })
+      .group(group)
+      .toArray();
+
+    return items.map(item => Object.assign(item, { time: item._id }));
+  }
+
+  /**
+   * Get the running total of a block field before a time.
+   * @private
+   * @param {Object} total - `total` of a chart type.
+   * @param {Number} time
+   * @returns {Promise}
+   */
+  async getTotal(total, time) {
+    const day = time - time % DAY;
+    const prev = await this.db.summaryDb.find({ time: { $lt: day } }).sort({ time: -1 }).limit(1).toArray();
+
+    let value = prev[0] ? prev[0][total.summary] : 0;
+
+    if (time > day) {
+      const items = await this.db.blockDb.aggregate()
+        .match({ time: { $gte: day, $lt: time } })
+        .group({ _id: null, value: { $sum: `$${total.field}` } })
+        .toArray();
+
+      if (items[0]) value += items[0].value;
     }
 
-    return result;
+    return value;
+  }
+}
+
+/**
+ * Get the start of the chart bucket a time falls in.
+ * @param {Number} time
+ * @param {String} interval
+ * @returns {Number}
+ */
+function getBucket(time, interval) {
+  switch (interval) {
+    case 'hour':
+      return time - time % HOUR;
+    case 'day':
+      return time - time % DAY;
+    case 'week':
+      // The epoch is a Thursday.
+      return time - (time - 4 * DAY) % (7 * DAY);
+    case 'month': {
+      const date = new Date(time * 1000);
+      return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1) / 1000;
+    }
+  }
+
+  throw new Error(`Unknown interval: ${interval}.`);
+}
+
+/**
+ * Aggregate the points of a chart bucket.
+ * @param {Number[]} values
+ * @param {String} agg
+ * @returns {Number|null}
+ */
+function aggregate(values, agg) {
+  if (values.length === 0) return null;
+
+  switch (agg) {
+    case 'avg':
+      return values.reduce((a, b) => a + b, 0) / values.length;
+    case 'sum':
+      return values.reduce((a, b) => a + b, 0);
+    case 'min':
+      return Math.min(...values);
+    case 'max':
+      return Math.max(...values);
+    case 'last':
+      return values[values.length - 1];
+  }
+
+  throw new Error(`Unknown aggregate: ${agg}.`);
+}
+
+function toFQDN(name) {
+  name = name.toLowerCase();
+  return name.endsWith('.') ? name : name + '.';
+}
+
+function isIP(value) {
+  return /^[0-9.]+$/.test(value) || value.indexOf(':') !== -1;
+}
+
+function normalizeName(query) {
+  let name = query.trim().toLowerCase();
+
+  if (name.endsWith('.')) name = name.slice(0, -1);
+
+  // IDNs are registered in their punycode form.
+  if (/[^\x00-\x7f]/.test(name)) name = domainToASCII(name);
+
+  return name;
+}
+
+function toUnicode(name) {
+  if (!name.startsWith('xn--')) return name;
+  return domainToUnicode(name) || name;
+}
+
+function getEdits(name) {
+  const edits = new Set();
+
+  for (let i = 0; i <= name.length; i++) {
+    const head = name.slice(0, i);
+    const tail = name.slice(i);
+
+    if (tail.length > 0) edits.add(head + tail.slice(1));
+    if (tail.length > 1) edits.add(head + tail[1] + tail[0] + tail.slice(2));
+
+    for (const ch of NAME_CHARS) {
+      edits.add(head + ch + tail);
+      if (tail.length > 0) edits.add(head + ch + tail.slice(1));
+    }
   }
+
+  edits.delete(name);
+
+  return Array.from(edits).filter(edit => rules.verifyString(edit));
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
 
 function hex32(num) {
@@ -816,4 +2251,13 @@ function hex32(num) {
   return num;
 }
 
+Hnscan.NAME_STATUSES = NAME_STATUSES;
+Hnscan.CHAR_CLASSES = CHAR_CLASSES;
+Hnscan.INTERVALS = INTERVALS;
+Hnscan.AGGREGATES = AGGREGATES;
+Hnscan.CHARTS = CHARTS;
+Hnscan.getBucket = getBucket;
+Hnscan.aggregate = aggregate;
+Hnscan.getEdits = getEdits;
+
 module.exports = Hnscan;
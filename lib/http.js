@@ -5,6 +5,7 @@ const Validator = require('bval');
 const { base58 } = require('bstring');
 const random = require('bcrypto/lib/random');
 const sha256 = require('bcrypto/lib/sha256');
+const { safeEqual } = require('bcrypto/lib/safe');
 const assert = require('bsert');
 
 const Network = require('hsd').protocol.Network;
@@ -14,6 +15,8 @@ const pkg = require('hsd').pkg;
 
 const util = require('./util');
 const Cache = require('./utils/cache');
+const Webhooks = require('./webhooks');
+const Hnscan = require('./hnscan');
 
 /**
  * HTTP
@@ -41,6 +44,8 @@ class HTTP extends Server {
     this.fees = this.node.fees;
     this.mempool = this.node.mempool;
     this.hnscan = this.options.hnscan;
+    this.indexer = this.options.indexer;
+    this.webhooks = this.options.webhooks;
 
     this.cache = new Cache(60);
 
@@ -64,6 +69,7 @@ class HTTP extends Server {
     });
 
     this.initRouter();
+    this.initSockets();
   }
 
   /**
@@ -82,6 +88,16 @@ class HTTP extends Server {
           realm: 'hnscan'
         })
       );
+    } else {
+      // Watches always require the API key.
+      this.use(
+        '/watches',
+        this.basicAuth({
+          hash: sha256.digest,
+          password: this.options.apiKey,
+          realm: 'hnscan'
+        })
+      );
     }
 
     this.use(this.bodyParser({ type: 'json' }));
@@ -108,7 +124,7 @@ class HTTP extends Server {
         network: this.network.type,
         chainWork: this.chain.tip.chainwork.toString('hex', 64),
         difficulty: util.toDifficulty(this.chain.tip.bits),
-        hashrate: await this.getHashRate(120),
+        hashrate: await this.hnscan.getHashRate() || await this.getHashRate(120),
         unconfirmed: totalTX,
         unconfirmedSize: size,
         registeredNames: names
@@ -149,29 +165,88 @@ class HTTP extends Server {
       const valid = Validator.fromRequest(req);
       const limit = valid.uint('limit', 25);
       const offset = valid.uint('offset', 0);
-
-      let history = this.cache.get('mempool');
-
-      if (!history) {
-        history = this.mempool.getHistory();
-        this.cache.set('mempool', history);
+      const covenants = valid.array('covenant');
+      const minRate = valid.uint('minRate');
+      const maxRate = valid.uint('maxRate');
+      const minSize = valid.uint('minSize');
+      const maxSize = valid.uint('maxSize');
+      const sort = valid.str('sort', 'time');
+      const order = valid.str('order', 'desc');
+
+      enforce(limit <= 50, 'Too many txs requested. Max of 50.');
+      enforce(MEMPOOL_SORTS.includes(sort), `sort must be one of ${MEMPOOL_SORTS.join(', ')}.`);
+      enforce(order === 'asc' || order === 'desc', 'order must be asc or desc.');
+
+      let types = null;
+      if (covenants) {
+        types = covenants.map(type => rules.types[type.toUpperCase()]);
+        enforce(types.every(type => type != null), `covenant must be among ${Object.keys(rules.types).join(', ')}.`);
       }
 
-      const result = history.slice(offset, offset + limit);
+      const entries = this.hnscan.filterMempool(this.getMempool(), {
+        types,
+        minRate,
+        maxRate,
+        minSize,
+        maxSize,
+        sort,
+        order: order === 'asc' ? 1 : -1
+      });
+
+      const result = entries.slice(offset, offset + limit);
       const items = [];
-      for (const item of result) {
-        const tx = await this.hnscan.getTransaction(item.hash());
+      for (const entry of result) {
+        const tx = await this.hnscan.getTransaction(entry.hash());
+
+        if (!tx) continue;
+
+        tx.mempool = {
+          fee: entry.fee,
+          rate: entry.getRate(),
+          size: entry.size,
+          weight: entry.tx.getWeight(),
+          time: entry.time
+        };
+
         items.push(tx);
       }
 
       res.json(200, {
-        total: history.length,
+        total: entries.length,
         limit,
         offset,
         items
       });
     });
 
+    this.get('/mempool/stats', async (req, res) => {
+      res.json(200, this.hnscan.getMempoolStats(this.getMempool()));
+    });
+
+    this.get('/fees', async (req, res) => {
+      const valid = Validator.fromRequest(req);
+      const blocks = valid.uint('blocks', 10);
+      const smart = valid.bool('smart', true);
+
+      enforce(blocks <= 100, 'Too many blocks requested. Max of 100.');
+      enforce(this.fees, 'Fee estimation not available.');
+
+      const estimates = [];
+      for (const target of FEE_TARGETS) {
+        if (target > this.fees.feeStats.maxConfirms) continue;
+
+        estimates.push({
+          target,
+          rate: this.fees.estimateFee(target, smart)
+        });
+      }
+
+      res.json(200, {
+        estimates,
+        blocks: await this.hnscan.getBlockFees(blocks)
+      });
+    });
+
     this.get('/blocks', async (req, res) => {
       const valid = Validator.fromRequest(req);
       const tip = this.chain.height;
@@ -249,11 +324,48 @@ class HTTP extends Server {
       const offset = valid.uint('offset', 0);
       const type = valid.str('type');
       const status = valid.str('status');
+      const origin = valid.str('origin');
+      const minLength = valid.uint('minLength');
+      const maxLength = valid.uint('maxLength');
+      const chars = valid.str('chars');
+      const sort = valid.str('sort', 'open');
+      const order = valid.str('order', 'desc');
 
       enforce(limit <= 50, 'Too many names requested. Max of 50.');
       enforce(!this.chain.options.spv, 'Cannot get names in SPV mode.');
+      enforce(status == null || Hnscan.NAME_STATUSES.includes(status.toUpperCase()),
+        `status must be one of ${Hnscan.NAME_STATUSES.join(', ').toLowerCase()}.`);
+      enforce(origin == null || NAME_ORIGINS.includes(origin), `origin must be one of ${NAME_ORIGINS.join(', ')}.`);
+      enforce(chars == null || Hnscan.CHAR_CLASSES[chars], `chars must be one of ${Object.keys(Hnscan.CHAR_CLASSES).join(', ')}.`);
+      enforce(minLength == null || maxLength == null || minLength <= maxLength, 'minLength must not be above maxLength.');
+      enforce(NAME_SORTS.includes(sort), `sort must be one of ${NAME_SORTS.join(', ')}.`);
+      enforce(order === 'asc' || order === 'desc', 'order must be asc or desc.');
+
+      const filter = {
+        status,
+        origin,
+        minLength,
+        maxLength,
+        chars,
+        sort,
+        order: order === 'asc' ? 1 : -1
+      };
+
+      const data = await this.hnscan.getNames(type, filter, offset, limit);
+
+      res.json(200, data);
+    });
+
+    this.get('/names/expiring', async (req, res) => {
+      const valid = Validator.fromRequest(req);
+      const within = valid.uint('within', 4320);
+      const limit = valid.uint('limit', 25);
+      const offset = valid.uint('offset', 0);
+
+      enforce(within <= this.network.names.renewalWindow, `within must be at most ${this.network.names.renewalWindow} blocks.`);
+      enforce(limit <= 50, 'Too many names requested. Max of 50.');
 
-      const data = await this.hnscan.getNames(type, status, offset, limit);
+      const data = await this.hnscan.getExpiringNames(within, offset, limit);
 
       res.json(200, data);
     });
@@ -277,25 +389,151 @@ class HTTP extends Server {
     this.get('/names/:name/history', async (req, res) => {
       const valid = Validator.fromRequest(req);
       const name = valid.str('name');
+      const limit = valid.uint('limit', 25);
+      const offset = valid.uint('offset', 0);
+
+      enforce(name != null, 'name required.');
+      enforce(limit >= 1, 'At least one event must be requested.');
+      enforce(limit <= 100, 'Too many events requested. Max of 100.');
+
+      const filter = getHistoryFilter(valid);
+      const [history, total] = await this.hnscan.getNameHistory(name, filter, offset, limit);
+
+      res.json(200, {
+        total,
+        offset,
+        limit,
+        result: history
+      });
+    });
+
+    this.get('/names/:name/history.csv', async (req, res) => {
+      const valid = Validator.fromRequest(req);
+      const name = valid.str('name');
+
+      enforce(name != null && rules.verifyString(name), 'Invalid name.');
+
+      const filter = getHistoryFilter(valid);
+      const [history] = await this.hnscan.getNameHistory(name, filter, 0, 0);
+
+      const fields = ['height', 'time', 'type', 'action', 'txid', 'index', 'address', 'value'];
+      const lines = [fields.join(',')];
+
+      for (const item of history) lines.push(fields.map(field => toCSV(item[field])).join(','));
+
+      res.setHeader('Content-Disposition', `attachment; filename="${name}-history.csv"`);
+      res.send(200, lines.join('\n') + '\n', 'text/csv');
+    });
+
+    this.get('/names/:name/auctions', async (req, res) => {
+      const valid = Validator.fromRequest(req);
+      const name = valid.str('name');
+
+      enforce(name != null && rules.verifyString(name), 'Invalid name.');
+
+      const nameHash = rules.hashName(name).toString('hex');
+      const auctions = await this.hnscan.getNameAuctions(nameHash);
+
+      res.json(200, {
+        name,
+        nameHash,
+        total: auctions.length,
+        result: auctions
+      });
+    });
+
+    this.get('/names/:name/records', async (req, res) => {
+      const valid = Validator.fromRequest(req);
+      const name = valid.str('name');
 
       enforce(name != null, 'name required.');
 
-      //@todo implement offset and limit here.
-      const [history, total] = await this.hnscan.getNameHistory(name, 0, 100);
+      const records = await this.hnscan.getNameRecords(name);
 
-      if (!history) {
+      if (!records) {
         res.json(404);
         return;
       }
 
+      res.json(200, records);
+    });
+
+    this.get('/names/:name/records/history', async (req, res) => {
+      const valid = Validator.fromRequest(req);
+      const name = valid.str('name');
+      const limit = valid.uint('limit', 25);
+      const offset = valid.uint('offset', 0);
+
+      enforce(name != null, 'name required.');
+      enforce(limit <= 50, 'Too many records requested. Max of 50.');
+
+      const [history, total] = await this.hnscan.getNameRecordHistory(name, offset, limit);
+
       res.json(200, {
         total,
-        offset: 0,
-        limit: 25,
+        offset,
+        limit,
         result: history
       });
     });
 
+    this.get('/records/search', async (req, res) => {
+      const valid = Validator.fromRequest(req);
+      const type = valid.str('type', '').toUpperCase();
+      const value = valid.str('value');
+      const limit = valid.uint('limit', 25);
+      const offset = valid.uint('offset', 0);
+
+      enforce(RECORD_TYPES.includes(type), `type must be one of ${RECORD_TYPES.join(', ')}.`);
+      enforce(value, 'value required.');
+      enforce(limit <= 50, 'Too many names requested. Max of 50.');
+
+      const data = await this.hnscan.searchRecords(type, value, offset, limit);
+
+      res.json(200, data);
+    });
+
+    this.get('/claims', async (req, res) => {
+      const valid = Validator.fromRequest(req);
+      const q = valid.str('q');
+      const limit = valid.uint('limit', 25);
+      const offset = valid.uint('offset', 0);
+
+      enforce(limit <= 50, 'Too many claims requested. Max of 50.');
+
+      const data = await this.hnscan.getClaims(q, offset, limit);
+
+      res.json(200, data);
+    });
+
+    this.get('/reserved', async (req, res) => {
+      const valid = Validator.fromRequest(req);
+      const claimed = valid.bool('claimed');
+      const q = valid.str('q');
+      const limit = valid.uint('limit', 25);
+      const offset = valid.uint('offset', 0);
+
+      enforce(limit <= 100, 'Too many names requested. Max of 100.');
+
+      const data = await this.hnscan.getReserved(claimed, q, offset, limit);
+
+      res.json(200, data);
+    });
+
+    this.get('/airdrops', async (req, res) => {
+      const valid = Validator.fromRequest(req);
+      const address = valid.str('address');
+      const limit = valid.uint('limit', 25);
+      const offset = valid.uint('offset', 0);
+
+      enforce(limit <= 50, 'Too many airdrops requested. Max of 50.');
+
+      const addr = address ? Address.fromString(address, this.network.type) : null;
+      const data = await this.hnscan.getAirdrops(addr, offset, limit);
+
+      res.json(200, data);
+    });
+
     this.get('/addresses/:hash', async (req, res) => {
       const valid = Validator.fromRequest(req);
       const hash = valid.str('hash');
@@ -313,6 +551,173 @@ class HTTP extends Server {
       res.json(200, balance);
     });
 
+    this.get('/addresses/:hash/txs', async (req, res) => {
+      const valid = Validator.fromRequest(req);
+      const hash = valid.str('hash');
+      const limit = valid.uint('limit', 25);
+      const after = valid.str('cursor');
+
+      enforce(hash != null, 'address required.');
+      enforce(limit <= 50, 'Too many txs requested. Max of 50.');
+      enforce(after == null || /^\d+:\d+$/.test(after), 'Invalid cursor.');
+
+      let cursor = null;
+      if (after != null) {
+        const [height, index] = after.split(':');
+        cursor = { height: parseInt(height, 10), index: parseInt(index, 10) };
+      }
+
+      const addr = Address.fromString(hash, this.network.type);
+      const data = await this.hnscan.getAddressHistory(addr, cursor, limit);
+
+      res.json(200, data);
+    });
+
+    this.get('/addresses/:hash/utxos', async (req, res) => {
+      const valid = Validator.fromRequest(req);
+      const hash = valid.str('hash');
+      const limit = valid.uint('limit', 25);
+      const offset = valid.uint('offset', 0);
+
+      enforce(hash != null, 'address required.');
+      enforce(limit <= 100, 'Too many coins requested. Max of 100.');
+
+      const addr = Address.fromString(hash, this.network.type);
+      const data = await this.hnscan.getUnspentByAddress(addr, offset, limit);
+
+      res.json(200, data);
+    });
+
+    this.get('/addresses/:hash/names', async (req, res) => {
+      const valid = Validator.fromRequest(req);
+      const hash = valid.str('hash');
+      const limit = valid.uint('limit', 25);
+      const offset = valid.uint('offset', 0);
+      const sort = valid.str('sort', 'expiry');
+      const order = valid.str('order', 'asc');
+
+      enforce(hash != null, 'address required.');
+      enforce(limit <= 50, 'Too many names requested. Max of 50.');
+      enforce(sort === 'expiry' || sort === 'name', 'sort must be expiry or name.');
+      enforce(order === 'asc' || order === 'desc', 'order must be asc or desc.');
+
+      const addr = Address.fromString(hash, this.network.type);
+      const data = await this.hnscan.getNamesByAddress(addr, sort, order === 'asc' ? 1 : -1, offset, limit);
+
+      res.json(200, data);
+    });
+
+    this.get('/richlist', async (req, res) => {
+      const valid = Validator.fromRequest(req);
+      const limit = valid.uint('limit', 25);
+      const offset = valid.uint('offset', 0);
+
+      enforce(limit <= 100, 'Too many addresses requested. Max of 100.');
+
+      const data = await this.hnscan.getRichList(offset, limit);
+
+      res.json(200, data);
+    });
+
+    this.get('/watches', async (req, res) => {
+      const valid = Validator.fromRequest(req);
+      const limit = valid.uint('limit', 25);
+      const offset = valid.uint('offset', 0);
+
+      enforce(limit <= 100, 'Too many watches requested. Max of 100.');
+
+      const data = await this.webhooks.getWatches(offset, limit);
+
+      res.json(200, data);
+    });
+
+    this.post('/watches', async (req, res) => {
+      const valid = Validator.fromRequest(req);
+      const type = valid.str('type');
+      const target = valid.str('target');
+      const url = valid.str('url');
+      const events = valid.array('events');
+
+      enforce(type === 'name' || type === 'address', 'type must be name or address.');
+      enforce(target != null, 'target required.');
+      enforce(type !== 'name' || rules.verifyString(target), 'Invalid name.');
+      enforce(Webhooks.isURL(url), 'Invalid callback url.');
+      enforce(events == null || isEvents(type, events), `events must be among ${Webhooks.EVENTS[type].join(', ')}.`);
+
+      if (type === 'address') Address.fromString(target, this.network.type);
+
+      const watch = await this.webhooks.addWatch({ type, target, url, events });
+
+      res.json(200, watch);
+    });
+
+    this.get('/watches/:id', async (req, res) => {
+      const valid = Validator.fromRequest(req);
+      const id = valid.str('id');
+
+      enforce(id != null, 'id required.');
+
+      const watch = await this.webhooks.getWatch(id);
+
+      if (!watch) {
+        res.json(404);
+        return;
+      }
+
+      res.json(200, watch);
+    });
+
+    this.put('/watches/:id', async (req, res) => {
+      const valid = Validator.fromRequest(req);
+      const id = valid.str('id');
+      const url = valid.str('url');
+      const events = valid.array('events');
+
+      enforce(id != null, 'id required.');
+      enforce(url == null || Webhooks.isURL(url), 'Invalid callback url.');
+
+      const watch = await this.webhooks.getWatch(id);
+
+      if (!watch) {
+        res.json(404);
+        return;
+      }
+
+      enforce(events == null || isEvents(watch.type, events), `events must be among ${Webhooks.EVENTS[watch.type].join(', ')}.`);
+
+      res.json(200, await this.webhooks.updateWatch(id, { url, events }));
+    });
+
+    this.del('/watches/:id', async (req, res) => {
+      const valid = Validator.fromRequest(req);
+      const id = valid.str('id');
+
+      enforce(id != null, 'id required.');
+
+      const removed = await this.webhooks.removeWatch(id);
+
+      if (!removed) {
+        res.json(404);
+        return;
+      }
+
+      res.json(200, { success: true });
+    });
+
+    this.get('/watches/:id/deliveries', async (req, res) => {
+      const valid = Validator.fromRequest(req);
+      const id = valid.str('id');
+      const limit = valid.uint('limit', 25);
+      const offset = valid.uint('offset', 0);
+
+      enforce(id != null, 'id required.');
+      enforce(limit <= 100, 'Too many deliveries requested. Max of 100.');
+
+      const data = await this.webhooks.getDeliveries(id, offset, limit);
+
+      res.json(200, data);
+    });
+
     this.get('/peers', async (req, res) => {
       const valid = Validator.fromRequest(req);
       const page = valid.uint('page', 1);
@@ -341,6 +746,10 @@ class HTTP extends Server {
     this.get('/search', async (req, res) => {
       const valid = Validator.fromRequest(req);
       const query = valid.str('q');
+      const limit = valid.uint('limit', 10);
+
+      enforce(query != null, 'q required.');
+      enforce(limit <= 50, 'Too many names requested. Max of 50.');
 
       let results = [];
 
@@ -385,11 +794,9 @@ class HTTP extends Server {
         }
       }
 
-      let name = query.toLowerCase();
-      if (rules.verifyString(name)) {
-        let result = { type: 'Name', url: `/name/${name}` };
-        results.push(result);
-      }
+      const items = await this.hnscan.searchNames(query, limit);
+
+      for (const item of items) results.push(Object.assign({ type: 'Name', url: `/name/${item.name}` }, item));
 
       return res.json(200, results);
     });
@@ -399,14 +806,21 @@ class HTTP extends Server {
       const startTime = valid.u32('startTime');
       const endTime = valid.u32('endTime');
       const type = valid.str('type');
+      const interval = valid.str('interval', 'day');
+      const agg = valid.str('agg');
+
+      enforce(Hnscan.CHARTS[type], `type must be one of ${Object.keys(Hnscan.CHARTS).join(', ')}.`);
+      enforce(Hnscan.INTERVALS.includes(interval), `interval must be one of ${Hnscan.INTERVALS.join(', ')}.`);
+      enforce(agg == null || Hnscan.AGGREGATES.includes(agg), `agg must be one of ${Hnscan.AGGREGATES.join(', ')}.`);
+
+      const data = await this.hnscan.getSeries(type, {
+        start: startTime,
+        end: endTime,
+        interval,
+        agg
+      });
 
-      try {
-        const data = await this.hnscan.getSeries(type, startTime, endTime);
-        res.json(200, data);
-      } catch (error) {
-        console.log(error);
-        res.json(400, error);
-      }
+      res.json(200, data);
     });
 
     this.get('/pool/distribution', async (req, res) => {
@@ -420,6 +834,243 @@ class HTTP extends Server {
     });
   }
 
+  /**
+   * Get a snapshot of the mempool entries, cached for a minute.
+   * @private
+   * @returns {MempoolEntry[]}
+   */
+
+  getMempool() {
+    if (!this.mempool) return [];
+
+    let entries = this.cache.get('mempool');
+
+    if (!entries) {
+      entries = Array.from(this.mempool.map.values());
+      this.cache.set('mempool', entries);
+    }
+
+    return entries;
+  }
+
+  /**
+   * Handle new websocket.
+   * @private
+   * @param {WebSocket} socket
+   */
+
+  handleSocket(socket) {
+    socket.hook('auth', (...args) => {
+      if (socket.channel('auth')) throw new Error('Already authed.');
+
+      if (!this.options.noAuth) {
+        const valid = new Validator(args);
+        const key = valid.str(0, '');
+
+        if (key.length > 255) throw new Error('Invalid API key.');
+
+        const data = Buffer.from(key, 'ascii');
+        const hash = sha256.digest(data);
+
+        if (!safeEqual(hash, this.options.apiHash)) throw new Error('Invalid API key.');
+      }
+
+      socket.join('auth');
+
+      this.logger.info('Successful auth from %s.', socket.host);
+      this.handleAuth(socket);
+
+      return null;
+    });
+
+    socket.fire('version', {
+      version: pkg.version,
+      network: this.network.type
+    });
+  }
+
+  /**
+   * Handle new auth'd websocket.
+   * Topics: `blocks`, `mempool`, an address or a name.
+   * @private
+   * @param {WebSocket} socket
+   */
+
+  handleAuth(socket) {
+    socket.hook('watch blocks', () => {
+      socket.join('blocks');
+      return null;
+    });
+
+    socket.hook('unwatch blocks', () => {
+      socket.leave('blocks');
+      return null;
+    });
+
+    socket.hook('watch mempool', () => {
+      socket.join('mempool');
+      return null;
+    });
+
+    socket.hook('unwatch mempool', () => {
+      socket.leave('mempool');
+      return null;
+    });
+
+    socket.hook('watch address', (...args) => {
+      socket.join(this.addressChannel(args));
+      return null;
+    });
+
+    socket.hook('unwatch address', (...args) => {
+      socket.leave(this.addressChannel(args));
+      return null;
+    });
+
+    socket.hook('watch name', (...args) => {
+      socket.join(this.nameChannel(args));
+      return null;
+    });
+
+    socket.hook('unwatch name', (...args) => {
+      socket.leave(this.nameChannel(args));
+      return null;
+    });
+  }
+
+  /**
+   * Get the channel of an address passed to a socket hook.
+   * @private
+   * @param {Array} args
+   * @returns {String}
+   */
+
+  addressChannel(args) {
+    const valid = new Validator(args);
+    const str = valid.str(0);
+
+    enforce(str != null, 'address required.');
+
+    const addr = Address.fromString(str, this.network.type);
+    return `address:${addr.getHash().toString('hex')}`;
+  }
+
+  /**
+   * Get the channel of a name passed to a socket hook.
+   * @private
+   * @param {Array} args
+   * @returns {String}
+   */
+
+  nameChannel(args) {
+    const valid = new Validator(args);
+    const name = valid.str(0);
+
+    enforce(name != null && rules.verifyString(name), 'Invalid name.');
+
+    return `name:${rules.hashName(name).toString('hex')}`;
+  }
+
+  /**
+   * Bind to indexer and mempool events.
+   * Blocks are only announced once indexed.
+   * @private
+   */
+
+  initSockets() {
+    if (this.indexer) {
+      this.indexer.on('block', async (entry, block, changes) => {
+        try {
+          await this.handleBlock(entry, block, changes);
+        } catch (e) {
+          this.emit('error', e);
+        }
+      });
+
+      this.indexer.on('disconnect', (height) => {
+        if (!this.channel('blocks')) return;
+
+        this.to('blocks', 'block disconnect', { height });
+      });
+    }
+
+    if (this.mempool) {
+      this.mempool.on('tx', async (tx, view) => {
+        try {
+          await this.handleTX(tx, view);
+        } catch (e) {
+          this.emit('error', e);
+        }
+      });
+    }
+  }
+
+  /**
+   * Send an indexed block to subscribers.
+   * @private
+   * @param {ChainEntry} entry
+   * @param {Block} block
+   * @param {Object} changes
+   * @returns {Promise}
+   */
+
+  async handleBlock(entry, block, changes) {
+    if (this.channel('blocks')) {
+      this.to('blocks', 'block connect', {
+        height: entry.height,
+        hash: entry.hash.toString('hex'),
+        time: entry.time,
+        txs: block.txs.length
+      });
+    }
+
+    for (const [hash, txids] of changes.addresses) {
+      const channel = `address:${hash}`;
+
+      if (!this.channel(channel)) continue;
+
+      for (const txid of txids) {
+        this.to(channel, 'address tx', {
+          address: this.hnscan.toAddress(hash),
+          txid: txid,
+          height: entry.height
+        });
+      }
+    }
+
+    for (const [nameHash, name] of changes.names) {
+      const channel = `name:${nameHash}`;
+
+      if (!this.channel(channel)) continue;
+
+      this.to(channel, 'name', await this.hnscan.getName(name));
+    }
+  }
+
+  /**
+   * Send a mempool transaction to subscribers.
+   * @private
+   * @param {TX} tx
+   * @param {CoinView} view
+   * @returns {Promise}
+   */
+
+  async handleTX(tx, view) {
+    if (this.channel('mempool')) this.to('mempool', 'tx', await this.hnscan.getTransaction(tx.hash()));
+
+    for (const hash of tx.getHashes(view)) {
+      const channel = `address:${hash.toString('hex')}`;
+
+      if (!this.channel(channel)) continue;
+
+      this.to(channel, 'address tx', {
+        address: this.hnscan.toAddress(hash.toString('hex')),
+        txid: tx.txid(),
+        height: null
+      });
+    }
+  }
+
   async getHashRate(lookup, height) {
     let tip = this.chain.tip;
 
@@ -532,6 +1183,16 @@ class HTTPOptions {
       this.client = options.client;
     }
 
+    if (options.indexer != null) {
+      assert(typeof options.indexer === 'object');
+      this.indexer = options.indexer;
+    }
+
+    if (options.webhooks != null) {
+      assert(typeof options.webhooks === 'object');
+      this.webhooks = options.webhooks;
+    }
+
     if (options.logger != null) {
       assert(typeof options.logger === 'object');
       this.logger = options.logger;
@@ -613,6 +1274,42 @@ class HTTPOptions {
  * Helpers
  */
 
+const RECORD_TYPES = ['NS', 'GLUE4', 'GLUE6', 'SYNTH4', 'SYNTH6', 'DS', 'TXT'];
+const NAME_ORIGINS = ['claimed', 'reserved', 'auction'];
+const NAME_SORTS = ['open', 'value', 'highest', 'expiry'];
+const MEMPOOL_SORTS = ['time', 'rate', 'fee', 'size'];
+const FEE_TARGETS = [1, 2, 3, 6, 12, 24];
+
+function getHistoryFilter(valid) {
+  const actions = valid.array('action');
+  const start = valid.uint('start');
+  const end = valid.uint('end');
+
+  enforce(start == null || end == null || start <= end, 'start must not be above end.');
+
+  let types = null;
+  if (actions) {
+    types = actions.map(action => rules.types[action.toUpperCase()]);
+    enforce(types.every(type => type != null), `action must be among ${Object.keys(rules.types).join(', ')}.`);
+  }
+
+  return { types, start, end };
+}
+
+function toCSV(value) {
+  if (value == null) return '';
+
+  const str = String(value);
+
+  if (!/[",\n]/.test(str)) return str;
+
+  return `"${str.replace(/"/g, '""')}"`;
+}
+
+function isEvents(type, events) {
+  return events.length > 0 && events.every(event => Webhooks.EVENTS[type].includes(event));
+}
+
 function enforce(value, msg) {
   if (!value) {
     const err = new Error(msg);
@@ -621,4 +1318,6 @@ function enforce(value, msg) {
   }
 }
 
+HTTP.toCSV = toCSV;
+
 module.exports = HTTP;
@@ -1,15 +1,63 @@
 'use strict';
 
 const EventEmitter = require('events');
-const { Network } = require('hsd');
+const { Network, Covenant } = require('hsd');
 const assert = require('bsert');
 const poolData = require('./configs/pool.json');
 const Db = require('./db/index.js');
 const rules = require('hsd/lib/covenants/rules');
-const { toDifficulty } = require('./util');
+const reserved = require('hsd/lib/covenants/reserved');
+const AirdropProof = require('hsd/lib/primitives/airdropproof');
+const policy = require('hsd/lib/protocol/policy');
+const names = require('./names');
+const { toDifficulty, getLock, now } = require('./util');
+
+/**
+ * Version of the indexed data, stored in the sync state.
+ * @const {Number}
+ */
+const VERSION = 4;
+
+/**
+ * Number of blocks the hashrate of a block is measured over.
+ * @const {Number}
+ */
+const HASHRATE_WINDOW = 120;
+
+/**
+ * Number of addresses kept in the daily rich list snapshots.
+ * @const {Number}
+ */
+const RICHLIST_SIZE = 100;
+
+/**
+ * Name market counters kept per block and per day, by covenant type:
+ * the field counting the outputs and the one summing their value.
+ * @const {Object}
+ */
+const MARKET = {
+  [rules.types.OPEN]: { count: 'opens' },
+  [rules.types.BID]: { count: 'bids', value: 'bidLockup' },
+  [rules.types.REVEAL]: { count: 'reveals', value: 'revealValue' },
+  [rules.types.REGISTER]: { count: 'registers' },
+  [rules.types.RENEW]: { count: 'renews' },
+  [rules.types.TRANSFER]: { count: 'transfers' },
+  [rules.types.REVOKE]: { count: 'revokes' }
+};
+
+/**
+ * Every name market counter field.
+ * @const {String[]}
+ */
+const MARKET_FIELDS = Object.values(MARKET)
+  .reduce((fields, { count, value }) => fields.concat(value ? [count, value] : [count]), []);
 
 /**
  * Indexer
+ * Emits `block` (entry, block, changes) once a block is committed, with
+ * the `addresses` (address hash -> txids) and `names` (nameHash -> name)
+ * it touched and the `events` (payments and name actions) it contains,
+ * and `disconnect` (height) for every block rolled back.
  * @alias module:hnscan.indexer
  * @extends EventEmitter
  */
@@ -19,6 +67,8 @@ class Indexer extends EventEmitter {
    * @constructor
    * @param {Object} options
    * @param {Db} options.db
+   * @param {Number?} options.syncBatch - Blocks per batch during initial sync.
+   * @param {Boolean?} options.resync - Wipe and reindex an outdated database.
    */
   constructor(options) {
     super();
@@ -29,10 +79,14 @@ class Indexer extends EventEmitter {
     this.hnscan = options.hnscan;
     this.chain = options.chain;
     this.db = options.db;
+    this.syncBatch = options.syncBatch || 100;
+    this.resync = options.resync || false;
 
-    this.height = 0;
+    this.height = -1;
     this.scanning = false;
     this.pending = false;
+    this.pendingHeight = -1;
+    this.dirty = false;
 
     this.init();
   }
@@ -63,29 +117,51 @@ class Indexer extends EventEmitter {
       this.syncChain(this.height + 1);
     });
 
+    this.client.bind('block disconnect', async (entry, block, view) => {
+      this.syncChain(entry.height);
+    });
+
     this.client.bind('chain reset', async tip => {
-      try {
-        await this.rollback(tip.height);
-      } catch (e) {
-        this.emit('error', e);
-      }
+      this.syncChain(tip.height + 1);
     });
   }
 
   /**
    * Open the indexer.
+   * Blocks written after the last committed sync state are
+   * discarded, then the stored hashes are compared against
+   * the chain to undo anything reorganized while offline.
    * @returns {Promise}
    */
   async open() {
     const tip = await this.client.getTip(); // Get tip of chain when starting
-    const data = await this.db.blockDb.find().sort({ height: -1 }).limit(1).toArray();// Height of internal database.
-    this.height = data && data[0] ? data[0].height : 0;
+
+    await this.recover();
+
+    const fork = await this.findFork(this.height);
+    if (fork < this.height) {
+      this.logger.warning('Hnscan found a fork at height %d, chain reorganized while offline.', fork);
+      await this.rollback(fork);
+    }
 
     this.logger.info('Hnscan initialized at height: %d, and chain tip: %d', this.height, tip.height);
 
     await this.connect(); // Connect to the daemon.
   }
 
+  /**
+   * Discard everything written above the last
+   * committed sync state, left by a block batch
+   * that failed partway.
+   * @returns {Promise}
+   */
+  async recover() {
+    const state = await this.getState();
+
+    this.height = await this.getIndexedHeight();
+    await this.rollback(state.height);
+  }
+
   /**
    * Placeholder
    * @returns {Promise}
@@ -128,11 +204,17 @@ class Indexer extends EventEmitter {
 
   /**
    * Connect and sync with the chain server.
+   * Requests made while a scan is running are merged
+   * into a single rescan from the lowest requested height.
    * @private
+   * @param {Number?} height
    * @returns {Promise}
    */
   async syncChain(height) {
+    if (height == null) height = this.height + 1;
+
     if (this.scanning) {
+      if (!this.pending || height < this.pendingHeight) this.pendingHeight = height;
       this.pending = true;
       return;
     }
@@ -142,73 +224,193 @@ class Indexer extends EventEmitter {
     try {
       await this.scan(height);
     } catch (error) {
+      // Part of a batch may have been written, it
+      // is undone before anything is indexed again.
+      this.dirty = true;
       this.logger.error('Error scanning chain: %s', error.message);
     } finally {
       this.scanning = false;
       if (this.pending) {
         this.pending = false;
-        this.syncChain(this.height + 1);
+        this.syncChain(Math.min(this.pendingHeight, this.height + 1));
       }
     }
   }
 
   /**
    * Rescan blockchain from a given height.
+   * Everything indexed at or above the height is
+   * rolled back before the blocks are indexed again.
    * @private
    * @param {Number?} height
    * @returns {Promise}
    */
   async scan(height) {
-    if (height == null) height = this.height;
+    if (height == null) height = this.height + 1;
 
     assert(height >>> 0 === height, 'Hnscan: Must pass in a height.');
 
+    if (this.dirty) {
+      await this.recover();
+      this.dirty = false;
+    }
+
     const tip = await this.client.getTip();
-    if (tip.height < height) height = tip.height;
+    if (tip.height + 1 < height) height = tip.height + 1;
+    if (this.height + 1 < height) height = this.height + 1;
 
-    await this.rollback(height);
+    await this.rollback(height - 1);
 
-    for (let i = height; i <= tip.height; i++) {
-      const entry = await this.client.getEntry(i);
-      const block = await this.client.getBlock(entry.hash);
+    for (let i = height; i <= tip.height;) {
+      // Far behind the tip (initial sync), blocks are
+      // indexed in batches with one write per collection.
+      const size = tip.height - i >= this.syncBatch ? this.syncBatch : 1;
+      const items = [];
+
+      for (let j = i; j < i + size; j++) {
+        const entry = await this.client.getEntry(j);
+
+        // The chain is reorganizing underneath us,
+        // the next disconnect/connect will resume.
+        if (!entry) break;
 
-      await this._indexBlock(entry, block);
-      this.logger.info('Added block: %d.', entry.height);
+        const block = await this.client.getBlock(entry.hash);
+        items.push({ entry, block });
+      }
+
+      if (items.length === 0) break;
+
+      await this._indexBlocks(items);
+
+      if (items.length === 1) this.logger.info('Added block: %d.', i);
+      else this.logger.info('Added blocks: %d-%d.', i, i + items.length - 1);
+
+      if (items.length < size) break;
+
+      i += items.length;
     }
   }
 
   /**
-   * Sync with chain height.
+   * Roll the index back to a height, undoing
+   * every block indexed above it.
    * @param {Number} height
    * @returns {Promise}
    */
-  //@todo Untested.
   async rollback(height) {
-    const tip = this.client.getTip();
+    if (height >= this.height) return;
 
-    if (height > tip.height) throw new Error('Hnscan: Cannot rollback to the future.');
-    if (height === tip.height) {
-      this.logger.info('Rolled back to same height (%d).', height);
-      return;
-    }
+    if (height < -1) height = -1;
 
     this.logger.info('Rolling back %d HnscanDB blocks to height %d.', this.height - height, height);
 
-    const entry = await this.client.getEntry(height);
+    for (let i = this.height; i > height; i--) {
+      await this._unindexBlock(i);
+
+      const prev = await this.db.blockDb.findOne({ height: i - 1 });
+      await this.setHeight(i - 1, prev ? prev.hash : null);
+      this.logger.info('Removed block: %d.', i);
+      this.emit('disconnect', i);
+    }
+  }
+
+  /**
+   * Get the persisted sync state.
+   * @returns {Promise}
+   */
+  async getState() {
+    let state = await this.db.stateDb.findOne({ key: 'sync' });
+
+    // Databases from before the state was stored
+    // are on the first version of the schema.
+    if (!state) {
+      const data = await this.db.blockDb.find().sort({ height: -1 }).limit(1).toArray();
+      const item = data && data[0] ? data[0] : null;
+
+      state = {
+        height: item ? item.height : -1,
+        hash: item ? item.hash : null,
+        version: item ? 1 : VERSION,
+        time: 0
+      };
+    }
+
+    if (state.version !== VERSION) {
+      if (!this.resync) {
+        throw new Error(`Hnscan: Database version mismatch (${state.version} != ${VERSION}), `
+          + 'resync required. Set hnscan-resync or drop the database.');
+      }
+
+      this.logger.warning('Hnscan database version mismatch (%d != %d), resyncing from genesis.',
+        state.version, VERSION);
 
-    assert(entry);
+      await this.db.reset();
 
-    await this.setHeight(entry.height);
+      state = {
+        height: -1,
+        hash: null,
+        version: VERSION,
+        time: 0
+      };
+    }
+
+    return state;
+  }
+
+  /**
+   * Get the highest height with any indexed data,
+   * including partially written blocks.
+   * @returns {Promise}
+   */
+  async getIndexedHeight() {
+    let height = -1;
+
+    for (const collection of [this.db.blockDb, this.db.txDb, this.db.coinDb]) {
+      const data = await collection.find().sort({ height: -1 }).limit(1).toArray();
+      if (data && data[0] && data[0].height > height) height = data[0].height;
+    }
+
+    return height;
   }
 
   /**
-   * Set internal indexer height.
+   * Walk back from a height until the indexed
+   * block hash matches the main chain.
    * @param {Number} height
+   * @returns {Promise} - Returns Number, -1 if nothing matches.
+   */
+  async findFork(height) {
+    for (let i = height; i >= 0; i--) {
+      const item = await this.db.blockDb.findOne({ height: i });
+      const entry = await this.client.getEntry(i);
+
+      if (item && entry && entry.hash.toString('hex') === item.hash) return i;
+    }
+
+    return -1;
+  }
+
+  /**
+   * Set internal indexer height and commit the sync state.
+   * The state is always written after a block's data, so
+   * anything above it is discarded on the next startup.
+   * @param {Number} height
+   * @param {String?} hash
    * @returns {Promise}
    */
-  async setHeight(height) {
+  async setHeight(height, hash) {
     this.height = height;
-    return;
+
+    await this.db.stateDb.updateOne({ key: 'sync' }, {
+      $set: {
+        height: height,
+        hash: hash || null,
+        version: VERSION,
+        time: now()
+      }
+    }, {
+      upsert: true
+    });
   }
 
   /**
@@ -234,68 +436,586 @@ class Indexer extends EventEmitter {
    * @returns {Promise}
    */
   async _indexBlock(entry, block) {
-    if (entry.height < this.height) {
+    return this._indexBlocks([{ entry, block }]);
+  }
+
+  /**
+   * Index consecutive blocks, writing each
+   * collection once for the whole batch.
+   * @param {Object[]} items - Array of {entry, block}.
+   * @returns {Promise}
+   */
+  async _indexBlocks(items) {
+    items = items.filter(({ entry }) => {
+      if (entry.height > this.height) return true;
+
       this.logger.warning('Hnscan is connecting low blocks (%d).', entry.height);
-      return;
+      return false;
+    });
+
+    if (items.length === 0) return;
+
+    const blocks = items.map(({ block }) => block);
+    const batch = {
+      coins: [],
+      names: await this.getNameView(blocks),
+      records: [],
+      claims: [],
+      airdrops: [],
+      txs: [],
+      balances: new Map(),
+      blocks: [],
+      view: await this.getInputView(blocks)
+    };
+
+    const events = [];
+    let time = items[0].entry.time;
+
+    for (const { entry, block } of items) {
+      const { supply, burned, airdrops, fees, market, changes } = await this.indexTX(entry, block, batch);
+      const work = await this.getWork(entry);
+      events.push([entry, block, changes]);
+
+      const minerAddress = block.txs[0].outputs[0].address.toString('main');
+      let miner = 'unknown';
+
+      for (const item in poolData) {
+        if (poolData[item].address.indexOf(minerAddress) !== -1) {
+          miner = item;
+          break;
+        }
+      }
+
+      batch.blocks.push({
+        updateOne: {
+          filter: { height: entry.height },
+          update: {
+            $set: Object.assign({
+              hash: entry.hash.toString('hex'),
+              difficulty: toDifficulty(entry.bits),
+              time: entry.time,
+              txs: block.txs.length,
+              supply: supply,
+              burned: burned,
+              airdrops: airdrops.length,
+              airdropped: airdrops.reduce((sum, item) => sum + item.amount, 0),
+              fees: fees.total,
+              feeSize: fees.size,
+              feeRateMin: fees.minRate,
+              feeRateMedian: fees.medianRate,
+              feeRateMax: fees.maxRate,
+              work: work.work,
+              interval: work.interval,
+              hashrate: work.hashrate,
+              miner: miner,
+              minerAddress: minerAddress
+            }, market)
+          },
+          upsert: true
+        }
+      });
+
+      time = Math.min(time, entry.time);
     }
 
-    await this.indexTX(entry, block);
-    const minerAddress = block.txs[0].outputs[0].address.toString('main');
-    let miner = 'unknown';
+    if (batch.coins.length > 0) await this.db.coinDb.bulkWrite(batch.coins);
+    if (batch.names.size > 0) {
+      const ops = [];
+      for (const [nameHash, record] of batch.names) {
+        if (record.ns.isNull()) continue;
 
-    for (const item in poolData) {
-      if (poolData[item].address.indexOf(minerAddress) !== -1) {
-        miner = item;
-        break;
+        ops.push({
+          updateOne: {
+            filter: { nameHash },
+            update: { $set: names.toDoc(record, this.network) },
+            upsert: true
+          }
+        });
+      }
+
+      if (ops.length > 0) await this.db.nameDb.bulkWrite(ops);
+    }
+    if (batch.records.length > 0) await this.db.recordDb.insertMany(batch.records);
+    if (batch.claims.length > 0) await this.db.claimDb.insertMany(batch.claims);
+    if (batch.airdrops.length > 0) await this.db.airdropDb.insertMany(batch.airdrops);
+    if (batch.txs.length > 0) await this.db.txDb.bulkWrite(batch.txs);
+
+    // Written after the txs, which a rollback
+    // finds the touched addresses by.
+    if (batch.balances.size > 0) {
+      const ops = [];
+      for (const [address, balance] of batch.balances) {
+        ops.push({
+          updateOne: {
+            filter: { address },
+            update: { $inc: balance },
+            upsert: true
+          }
+        });
+      }
+
+      await this.db.addressDb.bulkWrite(ops);
+    }
+
+    await this.db.blockDb.bulkWrite(batch.blocks);
+
+    const { entry } = items[items.length - 1];
+
+    await this.updateSummary(time);
+    await this.setHeight(entry.height, entry.hash.toString('hex'));
+    await this.snapshotRichList(entry.time);
+
+    for (const event of events) this.emit('block', ...event);
+  }
+
+  /**
+   * Add a change of value to the pending balance of an address.
+   * @private
+   * @param {Object} batch
+   * @param {String} address
+   * @param {Number} type - Covenant type of the coin.
+   * @param {Number} value - Negative when the coin is spent.
+   */
+  addBalance(batch, address, type, value) {
+    let balance = batch.balances.get(address);
+    if (!balance) {
+      balance = { received: 0, spent: 0, spendable: 0, auction: 0, name: 0, burned: 0 };
+      batch.balances.set(address, balance);
+    }
+
+    if (value > 0) balance.received += value;
+    else balance.spent -= value;
+
+    balance[getLock(type)] += value;
+  }
+
+  /**
+   * Recompute the balances of addresses from their coins.
+   * @private
+   * @param {String[]} addresses
+   * @returns {Promise}
+   */
+  async refreshBalances(addresses) {
+    const balances = new Map();
+
+    const items = this.db.coinDb.aggregate()
+      .match({ address: { $in: addresses } })
+      .group({
+        _id: { address: '$address', type: '$type' },
+        received: { $sum: '$value' },
+        spent: {
+          $sum: {
+            $cond: {
+              if: { $eq: ['$spent', true] },
+              then: '$value',
+              else: 0
+            }
+          }
+        }
+      });
+
+    while (await items.hasNext()) {
+      const item = await items.next();
+      const { address, type } = item._id;
+
+      let balance = balances.get(address);
+      if (!balance) {
+        balance = { received: 0, spent: 0, spendable: 0, auction: 0, name: 0, burned: 0 };
+        balances.set(address, balance);
       }
+
+      balance.received += item.received;
+      balance.spent += item.spent;
+      balance[getLock(type)] += item.received - item.spent;
     }
 
-    await this.setHeight(entry.height);
-    await this.db.blockDb.updateOne({ height: entry.height }, {
+    for (const address of addresses) {
+      const balance = balances.get(address);
+
+      if (!balance) {
+        await this.db.addressDb.deleteOne({ address });
+        continue;
+      }
+
+      await this.db.addressDb.updateOne({ address }, { $set: balance }, { upsert: true });
+    }
+  }
+
+  /**
+   * Store the top of the rich list once a day,
+   * used for the rank history of addresses.
+   * @private
+   * @param {Number} time
+   * @returns {Promise}
+   */
+  async snapshotRichList(time) {
+    const day = 24 * 60 * 60;
+    const key = `richlist:${time - time % day}`;
+
+    if (await this.db.snapshotDb.findOne({ key })) return;
+
+    const items = await this.db.addressDb
+      .find().sort({ spendable: -1 }).limit(RICHLIST_SIZE)
+      .project({ address: 1, spendable: 1 })
+      .toArray();
+
+    await this.db.snapshotDb.updateOne({ key }, {
       $set: {
-        hash: entry.hash.toString('hex'),
-        difficulty: toDifficulty(entry.bits),
-        time: entry.time,
-        txs: block.txs.length,
-        miner: miner,
-        minerAddress: minerAddress
+        time: time - time % day,
+        items: items.map((item, i) => ({
+          address: item.address,
+          balance: item.spendable,
+          rank: i + 1
+        }))
       }
     }, {
       upsert: true
     });
   }
 
-  async getCurrentSummary() {
-    const item = await this.db.summaryDb.find().sort({ time: -1 }).limit(1).toArray();
-
-    return item && item[0] ? item[0] : {
-      time: 0,
-      blocks: 0,
-      difficulty: 0,
-      txs: 0,
-      totalTxs: 0,
-      supply: 0,
-      burned: 0
+  /**
+   * Resolve every coin spent by the blocks with a
+   * single query. Coins created inside the batch
+   * are added as their outputs are indexed.
+   * @private
+   * @param {Block[]} blocks
+   * @returns {Promise} - Returns Map of `txid:index` to {address, value, type}.
+   */
+  async getInputView(blocks) {
+    const view = new Map();
+    const txids = new Set();
+
+    for (const block of blocks) {
+      for (const tx of block.txs) {
+        if (tx.isCoinbase()) continue;
+
+        for (const input of tx.inputs) txids.add(input.prevout.txid());
+      }
+    }
+
+    if (txids.size === 0) return view;
+
+    const items = this.db.coinDb
+      .find({ txid: { $in: Array.from(txids) } })
+      .project({ txid: 1, index: 1, address: 1, value: 1, type: 1 });
+
+    while (await items.hasNext()) {
+      const item = await items.next();
+      view.set(`${item.txid}:${item.index}`, {
+        address: item.address,
+        value: item.value,
+        type: item.type
+      });
+    }
+
+    return view;
+  }
+
+  /**
+   * Undo everything written for the block at a height.
+   * Only indexed data is used, so this works for blocks
+   * the chain has already disconnected.
+   * @private
+   * @param {Number} height
+   * @returns {Promise}
+   */
+  async _unindexBlock(height) {
+    const block = await this.db.blockDb.findOne({ height });
+    const txs = await this.db.txDb.find({ height }).project({ txid: 1, addresses: 1 }).toArray();
+    const txids = txs.map(tx => tx.txid);
+    const addresses = new Set();
+
+    for (const tx of txs) {
+      for (const address of tx.addresses) addresses.add(address);
+    }
+
+    const hashes = await this.db.coinDb.distinct('nameHash', { height, nameHash: { $exists: true } });
+
+    // Every step can be repeated, and the txs which the
+    // spent coins are found by go last, so an interrupted
+    // rollback is finished on the next startup.
+    for (const nameHash of hashes) await this.rebuildName(nameHash, height - 1);
+
+    if (txids.length > 0) {
+      await this.db.coinDb.updateMany({ spentTxid: { $in: txids } }, {
+        $set: { spent: false },
+        $unset: { spentTxid: '', spentIndex: '' }
+      });
+    }
+
+    await this.db.coinDb.deleteMany({ height });
+    await this.db.recordDb.deleteMany({ height });
+    await this.db.claimDb.deleteMany({ height });
+    await this.db.airdropDb.deleteMany({ height });
+
+    if (addresses.size > 0) await this.refreshBalances(Array.from(addresses));
+
+    await this.db.blockDb.deleteOne({ height });
+
+    if (block) await this.updateSummary(block.time);
+
+    await this.db.txDb.deleteMany({ height });
+  }
+
+  /**
+   * Recompute a name's state by replaying its indexed coins.
+   * Used when coins above the height are rolled back.
+   * @private
+   * @param {String} nameHash
+   * @param {Number} height
+   * @returns {Promise}
+   */
+  async rebuildName(nameHash, height) {
+    const items = this.db.coinDb
+      .find({
+        nameHash: nameHash,
+        height: { $lte: height }
+      })
+      .sort({ height: 1, txIndex: 1, index: 1 });
+
+    const record = names.create(nameHash);
+    while (await items.hasNext()) {
+      const item = await items.next();
+      const coin = {
+        covenant: new Covenant(item.type, item.covenant.map(i => Buffer.from(i, 'hex'))),
+        value: item.value,
+        hash: Buffer.from(item.txid, 'hex'),
+        index: item.index,
+        address: item.address
+      };
+
+      names.connect(record, coin, item.height, this.network);
+    }
+
+    if (record.ns.isNull()) {
+      await this.db.nameDb.deleteOne({ nameHash });
+      return;
+    }
+
+    await this.db.nameDb.updateOne({ nameHash }, { $set: names.toDoc(record, this.network) }, { upsert: true });
+  }
+
+  /**
+   * Rebuild the daily summaries from the day containing
+   * `time` onwards out of the indexed blocks. A summary holds
+   * the sums of the block fields of its day, under the same
+   * names, and running totals as `total*`. Totals are
+   * cumulative, so every later day is refreshed as well.
+   * @private
+   * @param {Number} time
+   * @returns {Promise}
+   */
+  async updateSummary(time) {
+    const day = 24 * 60 * 60;
+    const last = await this.db.summaryDb.find().sort({ time: -1 }).limit(1).toArray();
+    const end = Math.max(last && last[0] ? last[0].time : 0, time);
+
+    const prev = await this.db.summaryDb.find({ time: { $lt: time - time % day } }).sort({ time: -1 }).limit(1).toArray();
+    const current = prev && prev[0] ? prev[0] : { totalTxs: 0, totalSupply: 0, totalBurned: 0, totalAirdropped: 0 };
+
+    const group = {
+      _id: null,
+      blocks: { $sum: 1 },
+      txs: { $sum: '$txs' },
+      difficulty: { $sum: '$difficulty' },
+      supply: { $sum: '$supply' },
+      burned: { $sum: '$burned' },
+      airdrops: { $sum: '$airdrops' },
+      airdropped: { $sum: '$airdropped' },
+      fees: { $sum: '$fees' },
+      feeSize: { $sum: '$feeSize' },
+      work: { $sum: '$work' },
+      interval: { $sum: '$interval' }
+    };
+
+    for (const field of MARKET_FIELDS) group[field] = { $sum: `$${field}` };
+
+    for (let dayTime = time - time % day; dayTime <= end; dayTime += day) {
+      const items = await this.db.blockDb.aggregate()
+        .match({ time: { $gte: dayTime, $lt: dayTime + day } })
+        .group(group)
+        .toArray();
+
+      if (!items || !items[0]) {
+        await this.db.summaryDb.deleteOne({ time: dayTime });
+        continue;
+      }
+
+      const item = items[0];
+      const data = Object.assign(item, {
+        totalTxs: current.totalTxs + item.txs,
+        totalSupply: current.totalSupply + item.supply,
+        totalBurned: current.totalBurned + item.burned,
+        totalAirdropped: current.totalAirdropped + item.airdropped,
+        feeRate: item.feeSize > 0 ? policy.getRate(item.feeSize, item.fees) : 0,
+        hashrate: item.interval > 0 ? item.work / item.interval : 0,
+        blockTime: item.interval / item.blocks
+      });
+
+      delete data._id;
+
+      await this.db.summaryDb.updateOne({ time: dayTime }, { $set: data }, { upsert: true });
+
+      current.totalTxs = data.totalTxs;
+      current.totalSupply = data.totalSupply;
+      current.totalBurned = data.totalBurned;
+      current.totalAirdropped = data.totalAirdropped;
+    }
+  }
+
+  /**
+   * Load the current state of every name
+   * the blocks have covenants for.
+   * @private
+   * @param {Block[]} blocks
+   * @returns {Promise} - Returns Map of nameHash to name record.
+   */
+  async getNameView(blocks) {
+    const view = new Map();
+    const hashes = new Set();
+
+    for (const block of blocks) {
+      for (const tx of block.txs) {
+        for (const output of tx.outputs) {
+          if (output.covenant.isName()) hashes.add(output.covenant.getHash(0).toString('hex'));
+        }
+      }
+    }
+
+    if (hashes.size === 0) return view;
+
+    const items = this.db.nameDb.find({ nameHash: { $in: Array.from(hashes) } });
+
+    while (await items.hasNext()) {
+      const item = await items.next();
+      view.set(item.nameHash, names.fromDoc(item));
+    }
+
+    return view;
+  }
+
+  /**
+   * Get the work of a block, the seconds since its parent and the
+   * hashrate over the last {@link HASHRATE_WINDOW} blocks.
+   * @private
+   * @param (ChainEntry) entry
+   * @returns {Promise}
+   */
+  async getWork(entry) {
+    const work = Number(entry.getProof().toString());
+
+    if (entry.height === 0) return { work, interval: 0, hashrate: 0 };
+
+    const prev = await this.client.getPrevious(entry);
+    // Walk back from the entry itself, it may no longer be on the main chain.
+    const start = await this.client.getAncestor(entry, Math.max(0, entry.height - HASHRATE_WINDOW));
+    const span = entry.time - start.time;
+
+    return {
+      work: work,
+      interval: entry.time - prev.time,
+      hashrate: span > 0 ? Number(entry.chainwork.sub(start.chainwork).toString()) / span : 0
+    };
+  }
+
+  /**
+   * Describe a CLAIM output with the DNSSEC domain it was claimed by.
+   * @private
+   * @param {Covenant} covenant
+   * @param {Object} coin - Indexed coin of the output.
+   * @returns {Object}
+   */
+  toClaim(covenant, coin) {
+    const nameHash = covenant.getHash(0);
+    const item = reserved.get(nameHash);
+
+    return {
+      nameHash: nameHash.toString('hex'),
+      name: covenant.getString(2),
+      target: item ? item.target : null,
+      root: item ? item.root : false,
+      top100: item ? item.top100 : false,
+      height: coin.height,
+      time: coin.time,
+      txid: coin.txid,
+      index: coin.index,
+      address: coin.address,
+      value: coin.value,
+      weak: (covenant.getU8(3) & 1) !== 0,
+      commitHash: covenant.getHash(4).toString('hex'),
+      commitHeight: covenant.getU32(5)
     };
   }
 
+  /**
+   * Decode the airdrop and faucet proofs of a coinbase. Every coinbase
+   * input after the first carries a proof in its witness, paying the
+   * output at the same index unless that output is a CLAIM.
+   * @private
+   * @param (ChainEntry) entry
+   * @param {TX} tx - Coinbase.
+   * @returns {Object[]}
+   */
+  toAirdrops(entry, tx) {
+    const airdrops = [];
+
+    for (let i = 1; i < tx.inputs.length; i++) {
+      const output = tx.outputs[i];
+
+      if (!output.covenant.isNone()) continue;
+
+      const proof = AirdropProof.decode(tx.inputs[i].witness.items[0]);
+
+      airdrops.push({
+        height: entry.height,
+        time: entry.time,
+        txid: tx.txid(),
+        index: i,
+        address: output.address.getHash().toString('hex'),
+        value: output.value,
+        amount: proof.getValue(),
+        fee: proof.fee,
+        faucet: proof.isAddress(),
+        position: proof.position()
+      });
+    }
+
+    return airdrops;
+  }
+
   /**
    * Index a transaction by txid.
    * @private
    * @param (ChainEntry) entry
    * @param {Block} block
+   * @param {Object} batch - Pending writes, see {@link Indexer#_indexBlocks}.
+   * @returns {Object} - Coinbase supply, burned value, airdrops, fees
+   * (total, virtual size and min/median/max rate per kB) and name market
+   * counters of the block, with the addresses and names it changed.
    */
-  async indexTX(entry, block) {
-    const coins = [];
-    const names = new Map();
-    const txs = [];
+  async indexTX(entry, block, batch) {
+    const { coins, txs, view } = batch;
+
+    const changes = {
+      addresses: new Map(),
+      names: new Map(),
+      events: []
+    };
 
     let supply = 0;
     let burned = 0;
+    let airdrops = [];
+    const rates = [];
+    const fees = { total: 0, size: 0 };
+    const market = {};
 
-    for (const tx of block.txs) {
+    for (const field of MARKET_FIELDS) market[field] = 0;
+
+    for (const [txIndex, tx] of block.txs.entries()) {
       const addresses = new Set();
       let isCoinbase = false;
+      let inputValue = 0;
+      let resolved = true;
 
       for (let i = 0; i < tx.inputs.length; i++) {
         const input = tx.input(i);
@@ -304,14 +1024,16 @@ class Indexer extends EventEmitter {
           continue;
         }
 
-        const item = await this.db.coinDb.findOne({
-          txid: input.prevout.txid(),
-          index: input.prevout.index
-        });
+        const coin = view.get(`${input.prevout.txid()}:${input.prevout.index}`);
 
-        if (!item) continue;
+        if (!coin) {
+          resolved = false;
+          continue;
+        }
 
-        addresses.add(item.address);
+        inputValue += coin.value;
+        addresses.add(coin.address);
+        this.addBalance(batch, coin.address, coin.type, -coin.value);
         coins.push({
           updateOne: {
             filter: { txid: input.prevout.txid(), index: input.prevout.index },
@@ -336,10 +1058,24 @@ class Indexer extends EventEmitter {
         addresses.add(address);
         const value = parseInt(output.value);
 
+        view.set(`${tx.txid()}:${o}`, { address, value, type: output.covenant.type });
+        this.addBalance(batch, address, output.covenant.type, value);
+
+        changes.events.push({
+          type: 'address',
+          key: address,
+          action: 'payment',
+          txid: tx.txid(),
+          index: o,
+          value: value,
+          covenant: rules.typesByVal[output.covenant.type]
+        });
+
         const item = {
           txid: tx.txid(),
           height: entry.height,
           time: entry.time,
+          txIndex: txIndex,
           index: o,
           address: address,
           value: value,
@@ -352,59 +1088,57 @@ class Indexer extends EventEmitter {
           const type = output.covenant.type;
 
           item.nameHash = nameHash.toString('hex');
-          switch (type) {
-            case rules.types.CLAIM:
-            case rules.types.OPEN:
-              names.set(item.nameHash, {
-                updateOne: {
-                  filter: { nameHash: item.nameHash },
-                  update: {
-                    $set: {
-                      name: output.covenant.items[2].toString('ascii'),
-                      open: entry.height,
-                      value: 0,
-                      highest: 0
-                    }
-                  },
-                  upsert: true
-                }
-              });
-              break;
-
-            case rules.types.REVEAL:
-              let data = names.get(item.nameHash);
-              if (!data) {
-                const result = await this.db.nameDb.findOne({ nameHash: item.nameHash });
-                if (!result) break;
-
-                data = {
-                  updateOne: {
-                    filter: { nameHash: item.nameHash },
-                    update: {
-                      $set: {
-                        value: result.value,
-                        highest: result.highest
-                      }
-                    },
-                    upsert: true
-                  }
-                };
-              }
 
-              if (value <= data.updateOne.update.$set.value) break;
-              if (value <= data.updateOne.update.$set.highest) {
-                data.updateOne.update.$set.value = value;
-              } else {
-                data.updateOne.update.$set.value = data.updateOne.update.$set.highest;
-                data.updateOne.update.$set.highest = value;
-              }
+          let record = batch.names.get(item.nameHash);
+          if (!record) {
+            record = names.create(item.nameHash);
+            batch.names.set(item.nameHash, record);
+          }
+
+          const data = record.ns.data;
+
+          names.connect(record, {
+            covenant: output.covenant,
+            value: value,
+            hash: tx.hash(),
+            index: o,
+            address: address
+          }, entry.height, this.network);
+
+          changes.names.set(item.nameHash, record.ns.name.toString('binary'));
+          changes.events.push({
+            type: 'name',
+            key: item.nameHash,
+            action: rules.typesByVal[type].toLowerCase(),
+            name: record.ns.name.toString('binary'),
+            txid: tx.txid(),
+            index: o,
+            value: value,
+            address: address
+          });
+
+          if (!record.ns.data.equals(data)) {
+            batch.records.push({
+              nameHash: item.nameHash,
+              name: record.ns.name.toString('binary'),
+              height: entry.height,
+              time: entry.time,
+              txid: tx.txid(),
+              index: o,
+              type: type,
+              data: record.ns.data.toString('hex'),
+              records: names.decodeRecords(record.ns.data)
+            });
+          }
+
+          if (type === rules.types.CLAIM) batch.claims.push(this.toClaim(output.covenant, item));
 
-              names.set(item.nameHash, data);
-              break;
+          if (type === rules.types.REGISTER) burned += output.value;
 
-            case rules.types.REGISTER:
-              burned += output.value;
-              break;
+          if (MARKET[type]) {
+            const { count, value: sum } = MARKET[type];
+            market[count] += 1;
+            if (sum) market[sum] += value;
           }
         }
 
@@ -420,6 +1154,20 @@ class Indexer extends EventEmitter {
         });
       }
 
+      if (!isCoinbase && resolved) {
+        const fee = inputValue - tx.getOutputValue();
+        const size = tx.getVirtualSize();
+
+        fees.total += fee;
+        fees.size += size;
+        rates.push(policy.getRate(size, fee));
+      }
+
+      for (const address of addresses) {
+        if (!changes.addresses.has(address)) changes.addresses.set(address, []);
+        changes.addresses.get(address).push(tx.txid());
+      }
+
       txs.push({
         updateOne: {
           filter: { txid: tx.txid() },
@@ -428,6 +1176,7 @@ class Indexer extends EventEmitter {
               height: entry.height,
               hash: entry.hash.toString('hex'),
               time: entry.time,
+              index: txIndex,
               addresses: Array.from(addresses)
             }
           },
@@ -436,30 +1185,18 @@ class Indexer extends EventEmitter {
       });
     }
 
-    if (coins.length > 0) await this.db.coinDb.bulkWrite(coins);
-    if (names.size > 0) await this.db.nameDb.bulkWrite(Array.from(names.values()));
-    if (txs.length > 0) await this.db.txDb.bulkWrite(txs);
-
-    const current = await this.getCurrentSummary();
-    const dayTime = entry.time - entry.time % (24 * 60 * 60);
-    const data = {
-      blocks: 1,
-      txs: block.txs.length,
-      totalTxs: block.txs.length,
-      difficulty: toDifficulty(entry.bits),
-      supply: supply / Math.pow(10, 6),
-      burned: burned / Math.pow(10, 6)
-    };
-
-    if (current.time < dayTime) {
-      data.totalTxs += current.totalTxs;
-      data.supply += current.supply;
-      data.burned += current.burned;
+    if (block.txs.length > 0) {
+      airdrops = this.toAirdrops(entry, block.txs[0]);
+      for (const item of airdrops) batch.airdrops.push(item);
     }
 
-    await this.db.summaryDb.updateOne({ time: dayTime }, { $inc: data }, { upsert: true });
+    rates.sort((a, b) => a - b);
 
-    return;
+    fees.minRate = rates.length > 0 ? rates[0] : 0;
+    fees.medianRate = rates.length > 0 ? rates[rates.length >>> 1] : 0;
+    fees.maxRate = rates.length > 0 ? rates[rates.length - 1] : 0;
+
+    return { supply, burned, airdrops, fees, market, changes };
   }
 }
 
@@ -0,0 +1,281 @@
+'use strict';
+
+const NameState = require('hsd/lib/covenants/namestate');
+const Outpoint = require('hsd/lib/primitives/outpoint');
+const rules = require('hsd/lib/covenants/rules');
+const reserved = require('hsd/lib/covenants/reserved');
+const { Resource } = require('hsd/lib/dns/resource');
+
+const { types } = rules;
+
+/**
+ * Name state tracking for the indexer. Covenants are applied
+ * the same way `Chain#verifyCovenants` updates hsd's NameState,
+ * without any of the consensus checks.
+ * @exports names
+ */
+
+const names = exports;
+
+/**
+ * Create an empty name record.
+ * @param {String} nameHash
+ * @returns {Object}
+ */
+
+names.create = function create(nameHash) {
+  const ns = new NameState();
+  ns.nameHash = Buffer.from(nameHash, 'hex');
+
+  return {
+    ns: ns,
+    ownerAddress: null,
+    registeredHeight: 0
+  };
+};
+
+/**
+ * Apply a name covenant output to a record.
+ * @param {Object} record
+ * @param {Object} coin
+ * @param {Covenant} coin.covenant
+ * @param {Number} coin.value
+ * @param {Buffer} coin.hash - Txid of the output.
+ * @param {Number} coin.index - Index of the output.
+ * @param {String} coin.address - Address hash of the output.
+ * @param {Number} height
+ * @param {Network} network
+ * @returns {Boolean} - Whether the name state was touched.
+ */
+
+names.connect = function connect(record, coin, height, network) {
+  const { ns } = record;
+  const { covenant } = coin;
+
+  if (ns.isNull()) {
+    if (!covenant.isClaim() && !covenant.isOpen()) return false;
+
+    ns.set(covenant.get(2), height);
+  }
+
+  if (ns.maybeExpire(height, network)) {
+    record.ownerAddress = null;
+    record.registeredHeight = 0;
+  }
+
+  const outpoint = new Outpoint(coin.hash, coin.index);
+
+  switch (covenant.type) {
+    case types.CLAIM: {
+      ns.setHeight(height);
+      ns.setRenewal(height);
+      ns.setClaimed(covenant.getU32(5));
+      ns.setValue(0);
+      ns.setOwner(outpoint);
+      ns.setHighest(0);
+      ns.setWeak((covenant.getU8(3) & 1) !== 0);
+      break;
+    }
+
+    case types.REVEAL: {
+      if (ns.owner.isNull() || coin.value > ns.highest) {
+        ns.setValue(ns.highest);
+        ns.setOwner(outpoint);
+        ns.setHighest(coin.value);
+      } else if (coin.value > ns.value) {
+        ns.setValue(coin.value);
+      }
+      break;
+    }
+
+    case types.REGISTER: {
+      const data = covenant.get(2);
+
+      ns.setRegistered(true);
+      ns.setOwner(outpoint);
+      if (data.length > 0) ns.setData(data);
+      ns.setRenewal(height);
+      record.registeredHeight = height;
+      break;
+    }
+
+    case types.UPDATE: {
+      const data = covenant.get(2);
+
+      ns.setOwner(outpoint);
+      if (data.length > 0) ns.setData(data);
+      ns.setTransfer(0);
+      break;
+    }
+
+    case types.RENEW:
+    case types.FINALIZE: {
+      ns.setOwner(outpoint);
+      ns.setTransfer(0);
+      ns.setRenewal(height);
+      ns.setRenewals(ns.renewals + 1);
+      break;
+    }
+
+    case types.TRANSFER: {
+      ns.setOwner(outpoint);
+      ns.setTransfer(height);
+      break;
+    }
+
+    case types.REVOKE: {
+      ns.setRevoked(height);
+      ns.setTransfer(0);
+      ns.setData(null);
+      break;
+    }
+  }
+
+  if (ns.owner.isNull()) record.ownerAddress = null;
+  else if (ns.owner.equals(outpoint)) record.ownerAddress = coin.address;
+
+  return true;
+};
+
+/**
+ * Get the height at which a name expires if
+ * no further covenants are applied to it.
+ * @param {NameState} ns
+ * @param {Network} network
+ * @returns {Number}
+ */
+
+names.getExpiry = function getExpiry(ns, network) {
+  const {
+    treeInterval,
+    lockupPeriod,
+    biddingPeriod,
+    revealPeriod,
+    renewalWindow,
+    auctionMaturity,
+    claimPeriod,
+    noReserved
+  } = network.names;
+
+  if (ns.revoked !== 0) return ns.revoked + auctionMaturity;
+
+  const closed = ns.claimed !== 0
+    ? ns.height + lockupPeriod
+    : ns.height + treeInterval + 1 + biddingPeriod + revealPeriod;
+
+  // Nobody revealed, the name restarts once the auction closes.
+  if (ns.owner.isNull()) return closed;
+
+  let expiry = Math.max(closed, ns.renewal + renewalWindow);
+
+  if (ns.claimed !== 0 && !noReserved) expiry = Math.max(expiry, claimPeriod);
+
+  return expiry;
+};
+
+/**
+ * Decode the resource data of a name into DNS records.
+ * @param {Buffer} data
+ * @returns {Object[]|null} - Record JSON as returned by hsd,
+ * null if the data is not a valid resource.
+ */
+
+names.decodeRecords = function decodeRecords(data) {
+  if (data.length === 0) return [];
+
+  try {
+    return Resource.decode(data).getJSON().records;
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Get the proper suffixes of a name, indexed so that substring
+ * searches are an anchored match on them.
+ * @param {String} name
+ * @returns {String[]}
+ */
+
+names.getSuffixes = function getSuffixes(name) {
+  const suffixes = [];
+
+  for (let i = 1; i < name.length; i++) suffixes.push(name.slice(i));
+
+  return suffixes;
+};
+
+/**
+ * Convert a record to a `name` collection document.
+ * @param {Object} record
+ * @param {Network} network
+ * @returns {Object}
+ */
+
+names.toDoc = function toDoc(record, network) {
+  const { ns } = record;
+
+  return {
+    name: ns.name.toString('binary'),
+    suffixes: names.getSuffixes(ns.name.toString('binary')),
+    nameHash: ns.nameHash.toString('hex'),
+    open: ns.height,
+    renewal: ns.renewal,
+    owner: ns.owner.toJSON(),
+    ownerAddress: record.ownerAddress,
+    value: ns.value,
+    highest: ns.highest,
+    data: ns.data.toString('hex'),
+    records: names.decodeRecords(ns.data),
+    transfer: ns.transfer,
+    revoked: ns.revoked,
+    claimed: ns.claimed,
+    reserved: reserved.has(ns.nameHash),
+    renewals: ns.renewals,
+    registered: ns.registered,
+    registeredHeight: record.registeredHeight,
+    expired: ns.expired,
+    weak: ns.weak,
+    expiry: names.getExpiry(ns, network)
+  };
+};
+
+/**
+ * Convert a `name` collection document to a record.
+ * @param {Object} doc
+ * @returns {Object}
+ */
+
+names.fromDoc = function fromDoc(doc) {
+  return {
+    ns: names.toNameState(doc),
+    ownerAddress: doc.ownerAddress,
+    registeredHeight: doc.registeredHeight
+  };
+};
+
+/**
+ * Instantiate hsd's NameState from a `name` collection document.
+ * @param {Object} doc
+ * @returns {NameState}
+ */
+
+names.toNameState = function toNameState(doc) {
+  return NameState.fromJSON({
+    name: doc.name,
+    nameHash: doc.nameHash,
+    height: doc.open,
+    renewal: doc.renewal,
+    owner: doc.owner,
+    value: doc.value,
+    highest: doc.highest,
+    data: doc.data,
+    transfer: doc.transfer,
+    revoked: doc.revoked,
+    claimed: doc.claimed,
+    renewals: doc.renewals,
+    registered: doc.registered,
+    expired: doc.expired,
+    weak: doc.weak
+  });
+};
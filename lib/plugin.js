@@ -8,6 +8,7 @@ const ChainClient = require('./chainClient');
 const Indexer = require('./indexer');
 const HTTP = require('./http');
 const Hnscan = require('./hnscan');
+const Webhooks = require('./webhooks');
 const Db = require('./db');
 
 /**
@@ -66,7 +67,19 @@ class Plugin extends EventEmitter {
       chain: node.chain,
       // hdb: this.hdb,
       hnscan: this.hnscan,
-      db: this.db
+      db: this.db,
+      syncBatch: node.config.uint('hnscan-sync-batch'),
+      resync: node.config.bool('hnscan-resync', false)
+    });
+
+    this.webhooks = new Webhooks({
+      network: this.network,
+      logger: this.logger,
+      db: this.db,
+      indexer: this.indexer,
+      interval: node.config.uint('hnscan-webhook-interval'),
+      timeout: node.config.uint('hnscan-webhook-timeout'),
+      maxAttempts: node.config.uint('hnscan-webhook-attempts')
     });
 
     this.http = new HTTP({
@@ -75,6 +88,8 @@ class Plugin extends EventEmitter {
       client: this.client,
       node: node,
       hnscan: this.hnscan,
+      indexer: this.indexer,
+      webhooks: this.webhooks,
       ssl: node.config.bool('hnscan-ssl'),
       keyFile: node.config.path('hnscan-ssl-key'),
       certFile: node.config.path('hnscan-ssl-cert'),
@@ -91,6 +106,7 @@ class Plugin extends EventEmitter {
   init() {
     // this.hdb.on('error', err => this.emit('error', err));
     this.indexer.on('error', err => this.emit('error', err));
+    this.webhooks.on('error', err => this.emit('error', err));
     this.http.on('error', err => this.emit('error', err));
   }
 
@@ -99,6 +115,7 @@ class Plugin extends EventEmitter {
     await this.db.open();
     // await this.hdb.open();
     await this.indexer.open();
+    await this.webhooks.open();
     await this.http.open();
     await this.hnscan.init();
   }
@@ -106,6 +123,7 @@ class Plugin extends EventEmitter {
   //Close the db and the http server.
   async close() {
     // await this.hdb.close();
+    await this.webhooks.close();
     await this.indexer.close();
   }
 }
@@ -1,5 +1,7 @@
 'use strict';
 
+const rules = require('hsd/lib/covenants/rules');
+
 /**
  * @exports util
  */
@@ -37,3 +39,32 @@ util.toDifficulty = function toDifficulty(bits) {
 
   return diff;
 };
+
+/**
+ * Get where the value of an output with a covenant type is held:
+ * `spendable`, `auction` (BID/REVEAL lockups), `name` (claimed
+ * and not registered yet) or `burned`. Like hsd, the value is
+ * burned by the REGISTER, so it stays burned in every output
+ * that carries the name afterwards.
+ * @param {Number} type - Covenant type.
+ * @returns {String}
+ */
+
+util.getLock = function getLock(type) {
+  switch (type) {
+    case rules.types.NONE:
+    case rules.types.REDEEM:
+      return 'spendable';
+
+    case rules.types.OPEN:
+    case rules.types.BID:
+    case rules.types.REVEAL:
+      return 'auction';
+
+    case rules.types.CLAIM:
+      return 'name';
+
+    default:
+      return 'burned';
+  }
+};
@@ -0,0 +1,492 @@
+'use strict';
+
+const EventEmitter = require('events');
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+const assert = require('bsert');
+const random = require('bcrypto/lib/random');
+const sha256 = require('bcrypto/lib/sha256');
+const { Network, Address } = require('hsd');
+const rules = require('hsd/lib/covenants/rules');
+const { now } = require('./util');
+
+/**
+ * Events a watch can subscribe to, per watch type.
+ * @const {Object}
+ */
+const EVENTS = {
+  name: Object.keys(rules.types)
+    .filter(type => type !== 'NONE')
+    .map(type => type.toLowerCase()),
+  address: ['payment']
+};
+
+/**
+ * Webhooks
+ * Matches indexed blocks against the watches stored in the `watch`
+ * collection and delivers a signed POST for each matching event.
+ * A watch only matches blocks above the height it was created at,
+ * so blocks indexed again by a resync or a reorg are not delivered
+ * to watches created after them.
+ * Deliveries are queued in the `delivery` collection and retried
+ * with exponential backoff until `maxAttempts` is reached.
+ * @alias module:hnscan.webhooks
+ * @extends EventEmitter
+ */
+class Webhooks extends EventEmitter {
+  /**
+   * Create webhooks.
+   * @constructor
+   * @param {Object} options
+   * @param {Db} options.db
+   * @param {Indexer} options.indexer
+   * @param {Number?} options.interval - Seconds between queue runs.
+   * @param {Number?} options.timeout - Seconds before a request is aborted.
+   * @param {Number?} options.maxAttempts
+   */
+  constructor(options) {
+    super();
+
+    this.network = Network.get(options.network);
+    this.logger = options.logger.context('hnscan');
+    this.db = options.db;
+    this.indexer = options.indexer;
+    this.interval = options.interval || 5;
+    this.timeout = options.timeout || 10;
+    this.maxAttempts = options.maxAttempts || 8;
+
+    this.timer = null;
+    this.running = false;
+
+    this.init();
+  }
+
+  /**
+   * Initialize webhooks.
+   * @private
+   */
+  init() {
+    this.indexer.on('block', async (entry, block, changes) => {
+      try {
+        await this.enqueue(entry, changes.events);
+      } catch (e) {
+        this.emit('error', e);
+      }
+    });
+  }
+
+  /**
+   * Start delivering the queue.
+   * @returns {Promise}
+   */
+  async open() {
+    this.schedule();
+  }
+
+  /**
+   * Stop delivering the queue.
+   * @returns {Promise}
+   */
+  async close() {
+    if (this.timer != null) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Schedule the next queue run.
+   * @private
+   */
+  schedule() {
+    this.timer = setTimeout(async () => {
+      try {
+        await this.flush();
+      } catch (e) {
+        this.emit('error', e);
+      }
+
+      if (this.timer != null) this.schedule();
+    }, this.interval * 1000);
+  }
+
+  /**
+   * Create a watch.
+   * @param {Object} options
+   * @param {String} options.type - `name` or `address`.
+   * @param {String} options.target - Name or address.
+   * @param {String} options.url - Callback URL.
+   * @param {String[]?} options.events - Defaults to every event of the type.
+   * @returns {Promise} - Returns the watch, with its signing secret.
+   */
+  async addWatch(options) {
+    const { type, target, url } = options;
+    const events = options.events || EVENTS[type];
+
+    assert(EVENTS[type], 'Invalid watch type.');
+    assert(isURL(url), 'Invalid callback url.');
+    assert(events.length > 0 && events.every(e => EVENTS[type].includes(e)), 'Invalid events.');
+
+    const watch = {
+      id: random.randomBytes(16).toString('hex'),
+      type: type,
+      target: target,
+      key: this.toKey(type, target),
+      url: url,
+      events: events,
+      secret: random.randomBytes(32).toString('hex'),
+      height: this.indexer.height,
+      created: now()
+    };
+
+    await this.db.watchDb.insertOne(watch);
+
+    return toJSON(watch, true);
+  }
+
+  /**
+   * Get a watch.
+   * @param {String} id
+   * @returns {Promise} - Returns the watch or null.
+   */
+  async getWatch(id) {
+    const watch = await this.db.watchDb.findOne({ id });
+
+    if (!watch) return null;
+
+    return toJSON(watch);
+  }
+
+  /**
+   * List watches.
+   * @param {Number} offset
+   * @param {Number} limit
+   * @returns {Promise}
+   */
+  async getWatches(offset, limit) {
+    const total = await this.db.watchDb.countDocuments();
+    const items = await this.db.watchDb
+      .find()
+      .sort({ created: -1 })
+      .skip(offset)
+      .limit(limit)
+      .toArray();
+
+    return {
+      total,
+      offset,
+      limit,
+      result: items.map(watch => toJSON(watch))
+    };
+  }
+
+  /**
+   * Update the callback url or events of a watch.
+   * @param {String} id
+   * @param {Object} options
+   * @param {String?} options.url
+   * @param {String[]?} options.events
+   * @returns {Promise} - Returns the watch or null.
+   */
+  async updateWatch(id, options) {
+    const watch = await this.db.watchDb.findOne({ id });
+
+    if (!watch) return null;
+
+    const update = {};
+
+    if (options.url != null) {
+      assert(isURL(options.url), 'Invalid callback url.');
+      update.url = options.url;
+    }
+
+    if (options.events != null) {
+      const { events } = options;
+      assert(events.length > 0 && events.every(e => EVENTS[watch.type].includes(e)), 'Invalid events.');
+      update.events = events;
+    }
+
+    if (Object.keys(update).length > 0) await this.db.watchDb.updateOne({ id }, { $set: update });
+
+    return toJSON(Object.assign(watch, update));
+  }
+
+  /**
+   * Remove a watch and its pending deliveries.
+   * @param {String} id
+   * @returns {Promise} - Returns whether the watch existed.
+   */
+  async removeWatch(id) {
+    const { deletedCount } = await this.db.watchDb.deleteOne({ id });
+
+    if (deletedCount === 0) return false;
+
+    await this.db.deliveryDb.deleteMany({ watch: id, status: 'pending' });
+
+    return true;
+  }
+
+  /**
+   * Get the deliveries of a watch, newest first.
+   * @param {String} id
+   * @param {Number} offset
+   * @param {Number} limit
+   * @returns {Promise}
+   */
+  async getDeliveries(id, offset, limit) {
+    const total = await this.db.deliveryDb.countDocuments({ watch: id });
+    const items = await this.db.deliveryDb
+      .find({ watch: id }, { projection: { _id: 0 } })
+      .sort({ created: -1 })
+      .skip(offset)
+      .limit(limit)
+      .toArray();
+
+    return {
+      total,
+      offset,
+      limit,
+      result: items
+    };
+  }
+
+  /**
+   * Get the indexed key of a watch target.
+   * @private
+   * @param {String} type
+   * @param {String} target
+   * @returns {String}
+   */
+  toKey(type, target) {
+    if (type === 'address') return Address.fromString(target, this.network.type).getHash().toString('hex');
+
+    assert(rules.verifyString(target), 'Invalid name.');
+
+    return rules.hashName(target).toString('hex');
+  }
+
+  /**
+   * Queue a delivery for every watch matching an event of a block.
+   * @private
+   * @param {ChainEntry} entry
+   * @param {Object[]} events
+   * @returns {Promise}
+   */
+  async enqueue(entry, events) {
+    if (events.length === 0) return;
+
+    const keys = Array.from(new Set(events.map(e => e.key)));
+    const watches = await this.db.watchDb
+      .find({ key: { $in: keys }, height: { $lt: entry.height } })
+      .toArray();
+
+    if (watches.length === 0) return;
+
+    const deliveries = [];
+
+    for (const event of events) {
+      for (const watch of watches) {
+        if (watch.type !== event.type || watch.key !== event.key) continue;
+
+        if (!watch.events.includes(event.action)) continue;
+
+        deliveries.push({
+          id: random.randomBytes(16).toString('hex'),
+          watch: watch.id,
+          url: watch.url,
+          payload: this.toPayload(watch, entry, event),
+          status: 'pending',
+          attempts: 0,
+          next: now(),
+          error: null,
+          created: now()
+        });
+      }
+    }
+
+    if (deliveries.length > 0) await this.db.deliveryDb.insertMany(deliveries);
+  }
+
+  /**
+   * Build the JSON body of a delivery.
+   * @private
+   * @param {Object} watch
+   * @param {ChainEntry} entry
+   * @param {Object} event
+   * @returns {Object}
+   */
+  toPayload(watch, entry, event) {
+    const payload = {
+      watch: watch.id,
+      type: watch.type,
+      target: watch.target,
+      event: event.action,
+      height: entry.height,
+      hash: entry.hash.toString('hex'),
+      time: entry.time,
+      txid: event.txid,
+      index: event.index,
+      value: event.value
+    };
+
+    if (event.type === 'name') payload.address = this.toAddress(event.address);
+    else payload.covenant = event.covenant;
+
+    return payload;
+  }
+
+  /**
+   * Encode an indexed address hash.
+   * @private
+   * @param {String} hash
+   * @returns {String}
+   */
+  toAddress(hash) {
+    return Address.fromHash(Buffer.from(hash, 'hex')).toString(this.network.type);
+  }
+
+  /**
+   * Attempt every delivery that is due.
+   * @returns {Promise}
+   */
+  async flush() {
+    if (this.running) return;
+
+    this.running = true;
+
+    try {
+      const items = await this.db.deliveryDb
+        .find({ status: 'pending', next: { $lte: now() } })
+        .sort({ next: 1 })
+        .limit(100)
+        .toArray();
+
+      for (const item of items) await this.deliver(item);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Attempt a delivery and record the outcome.
+   * @private
+   * @param {Object} item
+   * @returns {Promise}
+   */
+  async deliver(item) {
+    const watch = await this.db.watchDb.findOne({ id: item.watch });
+
+    if (!watch) {
+      await this.db.deliveryDb.deleteOne({ id: item.id });
+      return;
+    }
+
+    const body = JSON.stringify(item.payload);
+    const signature = sha256.mac(Buffer.from(body, 'utf8'), Buffer.from(watch.secret, 'hex')).toString('hex');
+    const attempts = item.attempts + 1;
+
+    let error = null;
+    try {
+      const code = await this.post(item.url, body, {
+        'X-Hnscan-Delivery': item.id,
+        'X-Hnscan-Event': item.payload.event,
+        'X-Hnscan-Signature': `sha256=${signature}`
+      });
+
+      if (code < 200 || code >= 300) error = `Status code: ${code}.`;
+    } catch (e) {
+      error = e.message;
+    }
+
+    const update = { attempts, error, delivered: null };
+
+    if (!error) {
+      update.status = 'delivered';
+      update.delivered = now();
+    } else if (attempts >= this.maxAttempts) {
+      update.status = 'failed';
+      this.logger.warning('Webhook %s to %s failed: %s', item.id, item.url, error);
+    } else {
+      update.next = now() + backoff(attempts);
+    }
+
+    await this.db.deliveryDb.updateOne({ id: item.id }, { $set: update });
+  }
+
+  /**
+   * POST a JSON body.
+   * @private
+   * @param {String} url
+   * @param {String} body
+   * @param {Object} headers
+   * @returns {Promise} - Returns the status code.
+   */
+  post(url, body, headers) {
+    const { protocol } = new URL(url);
+    const backend = protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const req = backend.request(url, {
+        method: 'POST',
+        timeout: this.timeout * 1000,
+        headers: Object.assign({
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(body),
+          'User-Agent': 'hnscan'
+        }, headers)
+      });
+
+      req.on('response', (res) => {
+        res.resume();
+        resolve(res.statusCode);
+      });
+
+      req.on('timeout', () => req.destroy(new Error('Request timed out.')));
+      req.on('error', reject);
+
+      req.end(body);
+    });
+  }
+}
+
+/*
+ * Helpers
+ */
+
+function backoff(attempts) {
+  return Math.min(30 * 2 ** (attempts - 1), 6 * 60 * 60);
+}
+
+function isURL(url) {
+  if (typeof url !== 'string') return false;
+
+  try {
+    const { protocol } = new URL(url);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch (e) {
+    return false;
+  }
+}
+
+function toJSON(watch, secret = false) {
+  const json = {
+    id: watch.id,
+    type: watch.type,
+    target: watch.target,
+    url: watch.url,
+    events: watch.events,
+    height: watch.height,
+    created: watch.created
+  };
+
+  if (secret) json.secret = watch.secret;
+
+  return json;
+}
+
+Webhooks.EVENTS = EVENTS;
+Webhooks.isURL = isURL;
+Webhooks.backoff = backoff;
+
+module.exports = Webhooks;
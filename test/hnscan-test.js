@@ -0,0 +1,80 @@
+'use strict';
+
+const assert = require('bsert');
+const Hnscan = require('../lib/hnscan');
+
+describe('Hnscan', function() {
+  describe('getBucket', function() {
+    // Wednesday 2020-02-05 13:45:10 UTC.
+    const time = Date.UTC(2020, 1, 5, 13, 45, 10) / 1000;
+
+    it('should truncate to the hour and day', () => {
+      assert.strictEqual(Hnscan.getBucket(time, 'hour'), Date.UTC(2020, 1, 5, 13) / 1000);
+      assert.strictEqual(Hnscan.getBucket(time, 'day'), Date.UTC(2020, 1, 5) / 1000);
+    });
+
+    it('should start weeks on Monday', () => {
+      const monday = Date.UTC(2020, 1, 3) / 1000;
+
+      assert.strictEqual(Hnscan.getBucket(time, 'week'), monday);
+      assert.strictEqual(Hnscan.getBucket(monday, 'week'), monday);
+      assert.strictEqual(Hnscan.getBucket(monday - 1, 'week'), monday - 7 * 24 * 60 * 60);
+    });
+
+    it('should start months on the first day', () => {
+      assert.strictEqual(Hnscan.getBucket(time, 'month'), Date.UTC(2020, 1, 1) / 1000);
+      assert.strictEqual(Hnscan.getBucket(Date.UTC(2020, 11, 31, 23) / 1000, 'month'), Date.UTC(2020, 11, 1) / 1000);
+    });
+
+    it('should reject unknown intervals', () => {
+      assert.throws(() => Hnscan.getBucket(time, 'year'), /Unknown interval/);
+    });
+  });
+
+  describe('aggregate', function() {
+    const values = [4, 1, 7, 2];
+
+    it('should apply each aggregate', () => {
+      assert.strictEqual(Hnscan.aggregate(values, 'avg'), 3.5);
+      assert.strictEqual(Hnscan.aggregate(values, 'sum'), 14);
+      assert.strictEqual(Hnscan.aggregate(values, 'min'), 1);
+      assert.strictEqual(Hnscan.aggregate(values, 'max'), 7);
+      assert.strictEqual(Hnscan.aggregate(values, 'last'), 2);
+    });
+
+    it('should return null for empty buckets', () => {
+      for (const agg of Hnscan.AGGREGATES) assert.strictEqual(Hnscan.aggregate([], agg), null);
+    });
+
+    it('should reject unknown aggregates', () => {
+      assert.throws(() => Hnscan.aggregate(values, 'median'), /Unknown aggregate/);
+    });
+  });
+
+  describe('getEdits', function() {
+    it('should include deletions, transpositions, insertions and substitutions', () => {
+      const edits = Hnscan.getEdits('abc');
+
+      assert(edits.includes('ac'));
+      assert(edits.includes('bac'));
+      assert(edits.includes('abxc'));
+      assert(edits.includes('abd'));
+      assert(!edits.includes('abc'));
+    });
+
+    it('should only return valid names', () => {
+      const edits = Hnscan.getEdits('ab');
+
+      assert(!edits.includes('-ab'));
+      assert(!edits.includes('ab-'));
+      assert(edits.includes('a-b'));
+      assert(edits.every(edit => /^[a-z0-9][a-z0-9_-]*$/.test(edit)));
+    });
+
+    it('should not repeat edits', () => {
+      const edits = Hnscan.getEdits('hello');
+
+      assert.strictEqual(new Set(edits).size, edits.length);
+    });
+  });
+});
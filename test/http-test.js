@@ -0,0 +1,25 @@
+'use strict';
+
+const assert = require('bsert');
+const HTTP = require('../lib/http');
+
+describe('HTTP', function() {
+  describe('toCSV', function() {
+    it('should leave plain values unquoted', () => {
+      assert.strictEqual(HTTP.toCSV('bid'), 'bid');
+      assert.strictEqual(HTTP.toCSV(1000000), '1000000');
+      assert.strictEqual(HTTP.toCSV(0), '0');
+    });
+
+    it('should write missing values as empty fields', () => {
+      assert.strictEqual(HTTP.toCSV(null), '');
+      assert.strictEqual(HTTP.toCSV(undefined), '');
+    });
+
+    it('should quote commas, quotes and newlines', () => {
+      assert.strictEqual(HTTP.toCSV('a,b'), '"a,b"');
+      assert.strictEqual(HTTP.toCSV('say "hi"'), '"say ""hi"""');
+      assert.strictEqual(HTTP.toCSV('a\nb'), '"a\nb"');
+    });
+  });
+});
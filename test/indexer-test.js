@@ -0,0 +1,338 @@
+'use strict';
+
+const EventEmitter = require('events');
+const assert = require('bsert');
+const Logger = require('blgr');
+const random = require('bcrypto/lib/random');
+const rules = require('hsd/lib/covenants/rules');
+const { Resource } = require('hsd/lib/dns/resource');
+const {
+  Network,
+  Block,
+  MTX,
+  Input,
+  Output,
+  Outpoint,
+  Address,
+  Covenant,
+  ChainEntry
+} = require('hsd');
+const Indexer = require('../lib/indexer');
+const Collection = require('./util/collection');
+
+const network = Network.get('regtest');
+
+/*
+ * Chain server stand-in, serving whichever branch is
+ * current while remembering every entry ever mined.
+ */
+
+class Client extends EventEmitter {
+  constructor() {
+    super();
+    this.chain = [];
+    this.entries = new Map();
+    this.blocks = new Map();
+  }
+
+  bind() {}
+
+  add(entry, block) {
+    this.entries.set(entry.hash.toString('hex'), entry);
+    this.blocks.set(entry.hash.toString('hex'), block);
+  }
+
+  async getTip() {
+    return this.chain[this.chain.length - 1];
+  }
+
+  async getEntry(height) {
+    return this.chain[height] || null;
+  }
+
+  async getBlock(hash) {
+    return this.blocks.get(hash.toString('hex'));
+  }
+
+  async getPrevious(entry) {
+    return this.entries.get(entry.prevBlock.toString('hex')) || null;
+  }
+
+  async getAncestor(entry, height) {
+    while (entry && entry.height > height) entry = await this.getPrevious(entry);
+    return entry;
+  }
+}
+
+/*
+ * Mines blocks of hand-made transactions, nothing is validated.
+ */
+
+class Miner {
+  constructor(client) {
+    this.client = client;
+    this.time = 1600000000;
+  }
+
+  coinbase(height, address, value) {
+    const mtx = new MTX();
+
+    mtx.addInput(new Input());
+    mtx.addOutput(address, value);
+    mtx.locktime = height;
+
+    return mtx.toTX();
+  }
+
+  spend(coins, outputs) {
+    const mtx = new MTX();
+
+    for (const [tx, index] of coins) mtx.addInput(Input.fromOutpoint(new Outpoint(tx.hash(), index)));
+
+    for (const { address, value, covenant } of outputs) {
+      const output = new Output();
+      output.address = address;
+      output.value = value;
+      if (covenant) output.covenant = covenant;
+      mtx.outputs.push(output);
+    }
+
+    return mtx.toTX();
+  }
+
+  mine(prev, txs, spacing = 8 * 60 * 60) {
+    const block = new Block();
+
+    block.prevBlock = prev ? prev.hash : Buffer.alloc(32);
+    block.time = (prev ? prev.time : this.time) + spacing;
+    block.bits = network.pow.bits;
+    block.txs = txs;
+    block.merkleRoot = block.createMerkleRoot();
+    block.witnessRoot = block.createWitnessRoot();
+
+    const entry = ChainEntry.fromBlock(block, prev);
+    this.client.add(entry, block);
+
+    return entry;
+  }
+}
+
+function createDb() {
+  const db = {};
+
+  for (const name of [
+    'blockDb', 'txDb', 'coinDb', 'addressDb', 'nameDb', 'recordDb',
+    'claimDb', 'airdropDb', 'summaryDb', 'snapshotDb', 'stateDb'
+  ]) {
+    db[name] = new Collection();
+  }
+
+  return db;
+}
+
+function createIndexer(client) {
+  return new Indexer({
+    network: network.type,
+    logger: new Logger({ level: 'none' }),
+    client: client,
+    db: createDb(),
+    syncBatch: 2
+  });
+}
+
+function sortKeys(value) {
+  if (Array.isArray(value)) return value.map(sortKeys);
+
+  if (value && typeof value === 'object') {
+    const sorted = {};
+    for (const key of Object.keys(value).sort()) sorted[key] = sortKeys(value[key]);
+    return sorted;
+  }
+
+  return value;
+}
+
+function dump(collection) {
+  return collection.docs.map(doc => JSON.stringify(sortKeys(doc))).sort();
+}
+
+function name(value) {
+  const rawName = Buffer.from(value, 'ascii');
+  return { rawName, nameHash: rules.hashName(rawName) };
+}
+
+function txt(text) {
+  return Resource.fromJSON({ records: [{ type: 'TXT', txt: [text] }] }).encode();
+}
+
+describe('Indexer', function() {
+  const client = new Client();
+  const miner = new Miner(client);
+  const alice = Address.fromHash(random.randomBytes(20));
+  const bob = Address.fromHash(random.randomBytes(20));
+  const carol = Address.fromHash(random.randomBytes(20));
+  const test = name('hnscan-test');
+  const gone = name('hnscan-gone');
+  const fork = name('hnscan-fork');
+
+  // Blocks 0-2 are shared, the main branch then registers
+  // `hnscan-test` and opens `hnscan-gone` in blocks 3-5,
+  // while the other branch reveals a different bid, pays
+  // carol and opens `hnscan-fork` in blocks 3-5, later.
+  const common = [];
+  const main = [];
+  const other = [];
+
+  before(() => {
+    const cb0 = miner.coinbase(0, alice, 2000e6);
+    common.push(miner.mine(null, [cb0]));
+
+    const open = miner.spend([[cb0, 0]], [
+      { address: alice, value: 0, covenant: new Covenant().setOpen(test.nameHash, test.rawName) },
+      { address: alice, value: 1999e6 }
+    ]);
+    common.push(miner.mine(common[0], [miner.coinbase(1, bob, 2000e6), open]));
+
+    const bid = miner.spend([[open, 1]], [
+      { address: alice, value: 10e6, covenant: new Covenant().setBid(test.nameHash, 1, test.rawName, random.randomBytes(32)) },
+      { address: alice, value: 1988e6 }
+    ]);
+    common.push(miner.mine(common[1], [miner.coinbase(2, bob, 2000e6), bid]));
+
+    const reveal = miner.spend([[bid, 0]], [
+      { address: alice, value: 5e6, covenant: new Covenant().setReveal(test.nameHash, 1, random.randomBytes(32)) },
+      { address: alice, value: 4.5e6 }
+    ]);
+    main.push(miner.mine(common[2], [miner.coinbase(3, bob, 2000e6), reveal]));
+
+    const register = miner.spend([[reveal, 0]], [
+      { address: alice, value: 5e6, covenant: new Covenant().setRegister(test.nameHash, 1, txt('first'), random.randomBytes(32)) }
+    ]);
+    const openGone = miner.spend([[bid, 1]], [
+      { address: alice, value: 0, covenant: new Covenant().setOpen(gone.nameHash, gone.rawName) },
+      { address: alice, value: 1987e6 }
+    ]);
+    main.push(miner.mine(main[0], [miner.coinbase(4, bob, 2000e6), register, openGone]));
+
+    const update = miner.spend([[register, 0]], [
+      { address: alice, value: 5e6, covenant: new Covenant().setUpdate(test.nameHash, 1, txt('second')) }
+    ]);
+    main.push(miner.mine(main[1], [miner.coinbase(5, bob, 2000e6), update]));
+
+    const otherReveal = miner.spend([[bid, 0]], [
+      { address: alice, value: 7e6, covenant: new Covenant().setReveal(test.nameHash, 1, random.randomBytes(32)) },
+      { address: alice, value: 2.5e6 }
+    ]);
+    const payment = miner.spend([[bid, 1]], [
+      { address: carol, value: 1000e6 },
+      { address: alice, value: 987e6 }
+    ]);
+    other.push(miner.mine(common[2], [miner.coinbase(3, carol, 2000e6), otherReveal, payment], 10 * 60 * 60));
+
+    const openFork = miner.spend([[payment, 0]], [
+      { address: carol, value: 0, covenant: new Covenant().setOpen(fork.nameHash, fork.rawName) },
+      { address: carol, value: 999e6 }
+    ]);
+    other.push(miner.mine(other[0], [miner.coinbase(4, carol, 2000e6), openFork], 10 * 60 * 60));
+    other.push(miner.mine(other[1], [miner.coinbase(5, carol, 2000e6)], 10 * 60 * 60));
+  });
+
+  async function sync(chain) {
+    const indexer = createIndexer(client);
+
+    client.chain = chain;
+    await indexer.syncChain(0);
+
+    return indexer;
+  }
+
+  function assertSame(actual, expected) {
+    for (const name of Object.keys(expected.db)) {
+      // Daily rich list snapshots are kept through reorgs.
+      if (name === 'stateDb' || name === 'snapshotDb') continue;
+
+      assert.deepStrictEqual(dump(actual.db[name]), dump(expected.db[name]), name);
+    }
+
+    assert.strictEqual(actual.height, expected.height);
+  }
+
+  it('should index names, balances and summaries', async () => {
+    const indexer = await sync(common.concat(main));
+    const doc = await indexer.db.nameDb.findOne({ name: 'hnscan-test' });
+    const balance = await indexer.db.addressDb.findOne({ address: alice.getHash().toString('hex') });
+    const summaries = await indexer.db.summaryDb.find().toArray();
+
+    assert.strictEqual(indexer.height, 5);
+    assert.strictEqual(doc.registered, true);
+    assert.strictEqual(doc.highest, 5e6);
+    assert.deepStrictEqual(doc.records, [{ type: 'TXT', txt: ['second'] }]);
+
+    assert.deepStrictEqual(balance, {
+      address: alice.getHash().toString('hex'),
+      received: balance.received,
+      spent: balance.spent,
+      spendable: 1987e6 + 4.5e6,
+      auction: 0,
+      name: 0,
+      burned: 5e6
+    });
+
+    assert.strictEqual(summaries.reduce((sum, item) => sum + item.blocks, 0), 6);
+    assert.strictEqual(summaries.reduce((sum, item) => sum + item.burned, 0), 5e6);
+    assert.strictEqual(Math.max(...summaries.map(item => item.totalTxs)), 12);
+  });
+
+  it('should match a straight sync after a reorg', async () => {
+    const indexer = await sync(common.concat(main));
+
+    // The node disconnects blocks 3-5 and connects the other branch.
+    client.chain = common.concat(other);
+    await indexer.syncChain(3);
+
+    const expected = await sync(common.concat(other));
+
+    assert.strictEqual(await indexer.db.nameDb.findOne({ name: 'hnscan-gone' }), null);
+    assert.strictEqual((await indexer.db.nameDb.findOne({ name: 'hnscan-test' })).highest, 7e6);
+    assertSame(indexer, expected);
+  });
+
+  it('should match a straight sync after rolling back to genesis', async () => {
+    const indexer = await sync(common.concat(main));
+
+    await indexer.rollback(-1);
+
+    for (const name of ['blockDb', 'txDb', 'coinDb', 'addressDb', 'nameDb', 'recordDb', 'summaryDb'])
+      assert.strictEqual(indexer.db[name].docs.length, 0, name);
+
+    client.chain = common.concat(other);
+    await indexer.syncChain(0);
+
+    assertSame(indexer, await sync(common.concat(other)));
+  });
+
+  it('should not apply a batch twice when retrying a failed one', async () => {
+    const indexer = createIndexer(client);
+    const { blockDb } = indexer.db;
+    const bulkWrite = blockDb.bulkWrite;
+
+    // Fail the batch of blocks 2-3 after its coins,
+    // names, txs and balances have been written.
+    blockDb.bulkWrite = async function(ops) {
+      if (ops.some(op => op.updateOne.filter.height === 3)) throw new Error('Write failed.');
+      return bulkWrite.call(this, ops);
+    };
+
+    client.chain = common.concat(main);
+    await indexer.syncChain(0);
+
+    assert.strictEqual(indexer.height, 1);
+    assert.strictEqual(indexer.dirty, true);
+
+    blockDb.bulkWrite = bulkWrite;
+    await indexer.syncChain(indexer.height + 1);
+
+    assert.strictEqual(indexer.dirty, false);
+    assertSame(indexer, await sync(common.concat(main)));
+  });
+});
@@ -0,0 +1,102 @@
+'use strict';
+
+const assert = require('bsert');
+const { Network, Covenant } = require('hsd');
+const rules = require('hsd/lib/covenants/rules');
+const random = require('bcrypto/lib/random');
+const names = require('../lib/names');
+
+const network = Network.get('main');
+const {
+  treeInterval,
+  biddingPeriod,
+  revealPeriod,
+  renewalWindow,
+  auctionMaturity
+} = network.names;
+
+function connect(record, covenant, height, value = 0) {
+  return names.connect(record, {
+    covenant: covenant,
+    value: value,
+    hash: random.randomBytes(32),
+    index: 0,
+    address: random.randomBytes(20).toString('hex')
+  }, height, network);
+}
+
+function open(name, height) {
+  const rawName = Buffer.from(name, 'ascii');
+  const nameHash = rules.hashName(rawName);
+  const record = names.create(nameHash.toString('hex'));
+
+  connect(record, new Covenant().setOpen(nameHash, rawName), height);
+
+  return { record, nameHash };
+}
+
+describe('Names', function() {
+  describe('getExpiry', function() {
+    it('should expire an auction without reveals when it closes', () => {
+      const { record } = open('hnscan-test', 1000);
+
+      assert.strictEqual(names.getExpiry(record.ns, network),
+        1000 + treeInterval + 1 + biddingPeriod + revealPeriod);
+    });
+
+    it('should expire a won name after the renewal window', () => {
+      const { record, nameHash } = open('hnscan-test', 1000);
+      const reveal = 1000 + treeInterval + 1 + biddingPeriod;
+      const register = reveal + revealPeriod + 10;
+
+      connect(record, new Covenant().setReveal(nameHash, 1000, random.randomBytes(32)), reveal, 5e6);
+      connect(record, new Covenant().setRegister(nameHash, 1000, Buffer.alloc(0), random.randomBytes(32)), register);
+
+      assert.strictEqual(record.registeredHeight, register);
+      assert.strictEqual(names.getExpiry(record.ns, network), register + renewalWindow);
+    });
+
+    it('should expire a revoked name after the auction maturity', () => {
+      const { record, nameHash } = open('hnscan-test', 1000);
+      const reveal = 1000 + treeInterval + 1 + biddingPeriod;
+      const revoke = reveal + revealPeriod + 100;
+
+      connect(record, new Covenant().setReveal(nameHash, 1000, random.randomBytes(32)), reveal, 5e6);
+      connect(record, new Covenant().setRevoke(nameHash, 1000), revoke);
+
+      assert.strictEqual(names.getExpiry(record.ns, network), revoke + auctionMaturity);
+    });
+  });
+
+  describe('getSuffixes', function() {
+    it('should return every proper suffix', () => {
+      assert.deepStrictEqual(names.getSuffixes('abcd'), ['bcd', 'cd', 'd']);
+      assert.deepStrictEqual(names.getSuffixes('a'), []);
+    });
+
+    it('should be stored on name documents', () => {
+      const { record } = open('hnscan-test', 1000);
+
+      assert.deepStrictEqual(names.toDoc(record, network).suffixes, names.getSuffixes('hnscan-test'));
+    });
+  });
+
+  describe('toNameState', function() {
+    it('should round trip a name document', () => {
+      const { record, nameHash } = open('hnscan-test', 1000);
+      const reveal = 1000 + treeInterval + 1 + biddingPeriod;
+
+      connect(record, new Covenant().setReveal(nameHash, 1000, random.randomBytes(32)), reveal, 5e6);
+      connect(record, new Covenant().setReveal(nameHash, 1000, random.randomBytes(32)), reveal + 1, 3e6);
+
+      const doc = names.toDoc(record, network);
+      const ns = names.toNameState(doc);
+
+      assert.bufferEqual(ns.encode(), record.ns.encode());
+      assert.strictEqual(doc.name, 'hnscan-test');
+      assert.strictEqual(doc.highest, 5e6);
+      assert.strictEqual(doc.value, 3e6);
+      assert.strictEqual(doc.reserved, false);
+    });
+  });
+});
@@ -0,0 +1,310 @@
+'use strict';
+
+/*
+ * In-memory stand-in for MongoDB collections, covering
+ * the queries, updates and aggregations used by hnscan.
+ */
+
+function clone(value) {
+  if (Buffer.isBuffer(value)) return Buffer.from(value);
+  if (Array.isArray(value)) return value.map(clone);
+
+  if (value && typeof value === 'object' && !(value instanceof RegExp)) {
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) copy[key] = clone(item);
+    return copy;
+  }
+
+  return value;
+}
+
+function isOperator(cond) {
+  return cond != null
+    && typeof cond === 'object'
+    && !Array.isArray(cond)
+    && Object.keys(cond).some(key => key[0] === '$');
+}
+
+function compare(a, b) {
+  if (a === b) return 0;
+  if (a == null) return -1;
+  if (b == null) return 1;
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function matches(doc, query) {
+  return Object.entries(query).every(([key, cond]) => {
+    const value = doc[key];
+
+    if (cond instanceof RegExp) return typeof value === 'string' && cond.test(value);
+
+    if (cond === null) return value == null;
+    if (!isOperator(cond)) return value === cond;
+
+    if (cond.$in && !cond.$in.includes(value)) return false;
+    if (cond.$ne !== undefined && value === cond.$ne) return false;
+    if (cond.$lt != null && !(value < cond.$lt)) return false;
+    if (cond.$lte != null && !(value <= cond.$lte)) return false;
+    if (cond.$gt != null && !(value > cond.$gt)) return false;
+    if (cond.$gte != null && !(value >= cond.$gte)) return false;
+    if (cond.$exists != null && (value !== undefined) !== cond.$exists) return false;
+
+    return true;
+  });
+}
+
+function evaluate(doc, expr) {
+  if (typeof expr === 'string' && expr[0] === '$') return doc[expr.slice(1)];
+
+  if (expr && typeof expr === 'object') {
+    if (expr.$cond) {
+      const { if: test, then, else: otherwise } = expr.$cond;
+      return evaluate(doc, test) ? evaluate(doc, then) : evaluate(doc, otherwise);
+    }
+
+    if (expr.$eq) {
+      const [a, b] = expr.$eq;
+      return evaluate(doc, a) === evaluate(doc, b);
+    }
+
+    const result = {};
+    for (const [key, item] of Object.entries(expr)) result[key] = evaluate(doc, item);
+    return result;
+  }
+
+  return expr;
+}
+
+function update(doc, { $set, $setOnInsert, $inc, $unset }, insert) {
+  if ($set) Object.assign(doc, clone($set));
+  if ($setOnInsert && insert) Object.assign(doc, clone($setOnInsert));
+
+  if ($inc) {
+    for (const [key, value] of Object.entries($inc)) doc[key] = (doc[key] || 0) + value;
+  }
+
+  if ($unset) {
+    for (const key of Object.keys($unset)) delete doc[key];
+  }
+}
+
+function sorter(spec) {
+  return (a, b) => {
+    for (const [key, dir] of Object.entries(spec)) {
+      const cmp = compare(a[key], b[key]);
+      if (cmp !== 0) return cmp * dir;
+    }
+
+    return 0;
+  };
+}
+
+/*
+ * Cursors evaluate lazily, sorting before skipping
+ * and limiting whatever order those were called in.
+ */
+
+class Cursor {
+  constructor(load) {
+    this.load = load;
+    this.docs = null;
+    this.options = { sort: null, skip: 0, limit: 0, project: null };
+  }
+
+  sort(spec) {
+    this.options.sort = spec;
+    return this;
+  }
+
+  skip(n) {
+    this.options.skip = n;
+    return this;
+  }
+
+  limit(n) {
+    this.options.limit = n;
+    return this;
+  }
+
+  project(spec) {
+    this.options.project = spec;
+    return this;
+  }
+
+  resolve() {
+    if (this.docs) return this.docs;
+
+    const { sort, skip, limit, project } = this.options;
+    let docs = this.load();
+
+    if (sort) docs.sort(sorter(sort));
+    docs = docs.slice(skip, limit > 0 ? skip + limit : undefined);
+
+    if (project) {
+      const keys = Object.keys(project).filter(key => project[key]);
+      docs = docs.map((doc) => {
+        const item = {};
+        for (const key of keys) {
+          if (doc[key] !== undefined) item[key] = doc[key];
+        }
+        return item;
+      });
+    }
+
+    this.docs = docs;
+    return docs;
+  }
+
+  async toArray() {
+    return this.resolve().slice();
+  }
+
+  async hasNext() {
+    return this.resolve().length > 0;
+  }
+
+  async next() {
+    return this.resolve().shift() || null;
+  }
+}
+
+class Aggregate extends Cursor {
+  constructor(collection) {
+    super(() => this.run(collection.docs.map(clone)));
+    this.stages = [];
+  }
+
+  match(query) {
+    this.stages.push(docs => docs.filter(doc => matches(doc, query)));
+    return this;
+  }
+
+  group(spec) {
+    this.stages.push((docs) => {
+      const groups = new Map();
+
+      for (const doc of docs) {
+        const id = evaluate(doc, spec._id);
+        const key = JSON.stringify(id === undefined ? null : id);
+
+        let group = groups.get(key);
+        if (!group) {
+          group = { _id: id === undefined ? null : id };
+          for (const field of Object.keys(spec)) {
+            if (field !== '_id') group[field] = 0;
+          }
+          groups.set(key, group);
+        }
+
+        for (const [field, acc] of Object.entries(spec)) {
+          if (field === '_id') continue;
+
+          const value = evaluate(doc, acc.$sum);
+          if (typeof value === 'number') group[field] += value;
+        }
+      }
+
+      return Array.from(groups.values());
+    });
+    return this;
+  }
+
+  sort(spec) {
+    this.stages.push(docs => docs.slice().sort(sorter(spec)));
+    return this;
+  }
+
+  run(docs) {
+    for (const stage of this.stages) docs = stage(docs);
+    return docs;
+  }
+}
+
+class Collection {
+  constructor() {
+    this.docs = [];
+  }
+
+  async insertOne(doc) {
+    this.docs.push(clone(doc));
+  }
+
+  async insertMany(docs) {
+    for (const doc of docs) await this.insertOne(doc);
+  }
+
+  async findOne(query = {}) {
+    const doc = this.docs.find(doc => matches(doc, query));
+    return doc ? clone(doc) : null;
+  }
+
+  find(query = {}) {
+    return new Cursor(() => this.docs.filter(doc => matches(doc, query)).map(clone));
+  }
+
+  aggregate() {
+    return new Aggregate(this);
+  }
+
+  async countDocuments(query = {}) {
+    return this.docs.filter(doc => matches(doc, query)).length;
+  }
+
+  async estimatedDocumentCount() {
+    return this.docs.length;
+  }
+
+  async distinct(key, query = {}) {
+    const values = new Set();
+
+    for (const doc of this.docs) {
+      if (matches(doc, query) && doc[key] !== undefined) values.add(doc[key]);
+    }
+
+    return Array.from(values);
+  }
+
+  async updateOne(query, changes, options = {}) {
+    const doc = this.docs.find(doc => matches(doc, query));
+
+    if (doc) {
+      update(doc, changes, false);
+      return;
+    }
+
+    if (!options.upsert) return;
+
+    const item = {};
+    for (const [key, cond] of Object.entries(query)) {
+      if (!isOperator(cond)) item[key] = clone(cond);
+    }
+
+    update(item, changes, true);
+    this.docs.push(item);
+  }
+
+  async updateMany(query, changes) {
+    for (const doc of this.docs) {
+      if (matches(doc, query)) update(doc, changes, false);
+    }
+  }
+
+  async bulkWrite(ops) {
+    for (const op of ops) {
+      const { filter, update, upsert } = op.updateOne;
+      await this.updateOne(filter, update, { upsert });
+    }
+  }
+
+  async deleteOne(query) {
+    const index = this.docs.findIndex(doc => matches(doc, query));
+    if (index !== -1) this.docs.splice(index, 1);
+    return { deletedCount: index !== -1 ? 1 : 0 };
+  }
+
+  async deleteMany(query) {
+    this.docs = this.docs.filter(doc => !matches(doc, query));
+  }
+}
+
+module.exports = Collection;
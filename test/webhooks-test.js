@@ -0,0 +1,213 @@
+'use strict';
+
+const EventEmitter = require('events');
+const http = require('http');
+const assert = require('bsert');
+const Logger = require('blgr');
+const sha256 = require('bcrypto/lib/sha256');
+const random = require('bcrypto/lib/random');
+const rules = require('hsd/lib/covenants/rules');
+const Webhooks = require('../lib/webhooks');
+const { now } = require('../lib/util');
+const Collection = require('./util/collection');
+
+function createReceiver(status) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body: Buffer.concat(chunks).toString('utf8') });
+      res.statusCode = status.code;
+      res.end();
+    });
+  });
+
+  return { server, requests };
+}
+
+describe('Webhooks', function() {
+  const status = { code: 200 };
+  const { server, requests } = createReceiver(status);
+
+  let url = null;
+  let indexer = null;
+  let webhooks = null;
+
+  before((cb) => {
+    server.listen(0, '127.0.0.1', () => {
+      url = `http://127.0.0.1:${server.address().port}/hook`;
+      cb();
+    });
+  });
+
+  after((cb) => {
+    server.close(cb);
+  });
+
+  beforeEach(() => {
+    status.code = 200;
+    requests.length = 0;
+
+    indexer = new EventEmitter();
+    indexer.height = 100;
+
+    webhooks = new Webhooks({
+      network: 'main',
+      logger: new Logger({ level: 'none' }),
+      db: { watchDb: new Collection(), deliveryDb: new Collection() },
+      indexer: indexer,
+      maxAttempts: 3
+    });
+  });
+
+  function nameEvent(name, action) {
+    return {
+      type: 'name',
+      key: rules.hashName(name).toString('hex'),
+      action: action,
+      name: name,
+      txid: random.randomBytes(32).toString('hex'),
+      index: 0,
+      value: 1e6,
+      address: random.randomBytes(20).toString('hex')
+    };
+  }
+
+  function entry(height) {
+    return { height, hash: random.randomBytes(32), time: now() };
+  }
+
+  describe('enqueue', function() {
+    it('should queue events matching a watch', async () => {
+      const watch = await webhooks.addWatch({ type: 'name', target: 'hnscan-test', url, events: ['bid'] });
+
+      await webhooks.enqueue(entry(101), [
+        nameEvent('hnscan-test', 'bid'),
+        nameEvent('hnscan-test', 'reveal'),
+        nameEvent('other', 'bid')
+      ]);
+
+      const { total, result } = await webhooks.getDeliveries(watch.id, 0, 10);
+
+      assert.strictEqual(total, 1);
+      assert.strictEqual(result[0].status, 'pending');
+      assert.strictEqual(result[0].payload.event, 'bid');
+      assert.strictEqual(result[0].payload.target, 'hnscan-test');
+      assert.strictEqual(result[0].payload.height, 101);
+    });
+
+    it('should not queue blocks at or below the watch height', async () => {
+      const watch = await webhooks.addWatch({ type: 'name', target: 'hnscan-test', url });
+
+      assert.strictEqual(watch.height, 100);
+
+      await webhooks.enqueue(entry(50), [nameEvent('hnscan-test', 'open')]);
+      await webhooks.enqueue(entry(100), [nameEvent('hnscan-test', 'open')]);
+
+      assert.strictEqual((await webhooks.getDeliveries(watch.id, 0, 10)).total, 0);
+    });
+
+    it('should queue on indexer block events', async () => {
+      const watch = await webhooks.addWatch({ type: 'name', target: 'hnscan-test', url });
+      const events = [nameEvent('hnscan-test', 'open')];
+
+      indexer.emit('block', entry(101), null, { events });
+
+      // Let the listener run.
+      await new Promise(resolve => setImmediate(resolve));
+
+      assert.strictEqual((await webhooks.getDeliveries(watch.id, 0, 10)).total, 1);
+    });
+  });
+
+  describe('deliver', function() {
+    it('should POST the payload signed with the watch secret', async () => {
+      const watch = await webhooks.addWatch({ type: 'name', target: 'hnscan-test', url });
+
+      await webhooks.enqueue(entry(101), [nameEvent('hnscan-test', 'open')]);
+      await webhooks.flush();
+
+      assert.strictEqual(requests.length, 1);
+
+      const [{ headers, body }] = requests;
+      const mac = sha256.mac(Buffer.from(body, 'utf8'), Buffer.from(watch.secret, 'hex')).toString('hex');
+      const [delivery] = (await webhooks.getDeliveries(watch.id, 0, 10)).result;
+
+      assert.strictEqual(headers['x-hnscan-signature'], `sha256=${mac}`);
+      assert.strictEqual(headers['x-hnscan-event'], 'open');
+      assert.strictEqual(headers['x-hnscan-delivery'], delivery.id);
+      assert.strictEqual(JSON.parse(body).watch, watch.id);
+
+      assert.strictEqual(delivery.status, 'delivered');
+      assert.strictEqual(delivery.attempts, 1);
+      assert.strictEqual(delivery.error, null);
+    });
+
+    it('should retry failed deliveries with backoff', async () => {
+      const watch = await webhooks.addWatch({ type: 'name', target: 'hnscan-test', url });
+
+      status.code = 500;
+
+      await webhooks.enqueue(entry(101), [nameEvent('hnscan-test', 'open')]);
+
+      const time = now();
+      await webhooks.flush();
+
+      const [delivery] = (await webhooks.getDeliveries(watch.id, 0, 10)).result;
+
+      assert.strictEqual(delivery.status, 'pending');
+      assert.strictEqual(delivery.attempts, 1);
+      assert.strictEqual(delivery.error, 'Status code: 500.');
+      assert(delivery.next >= time + Webhooks.backoff(1));
+
+      // Not due yet.
+      await webhooks.flush();
+      assert.strictEqual(requests.length, 1);
+    });
+
+    it('should fail deliveries after the max attempts', async () => {
+      const watch = await webhooks.addWatch({ type: 'name', target: 'hnscan-test', url });
+
+      status.code = 500;
+
+      await webhooks.enqueue(entry(101), [nameEvent('hnscan-test', 'open')]);
+
+      for (let i = 0; i < 3; i++) {
+        await webhooks.db.deliveryDb.updateOne({ watch: watch.id }, { $set: { next: now() } });
+        await webhooks.flush();
+      }
+
+      const [delivery] = (await webhooks.getDeliveries(watch.id, 0, 10)).result;
+
+      assert.strictEqual(requests.length, 3);
+      assert.strictEqual(delivery.status, 'failed');
+      assert.strictEqual(delivery.attempts, 3);
+
+      await webhooks.db.deliveryDb.updateOne({ watch: watch.id }, { $set: { next: now() } });
+      await webhooks.flush();
+
+      assert.strictEqual(requests.length, 3);
+    });
+  });
+
+  describe('backoff', function() {
+    it('should double from 30 seconds up to 6 hours', () => {
+      assert.deepStrictEqual([1, 2, 3, 4].map(Webhooks.backoff), [30, 60, 120, 240]);
+      assert.strictEqual(Webhooks.backoff(11), 6 * 60 * 60);
+      assert.strictEqual(Webhooks.backoff(20), 6 * 60 * 60);
+    });
+  });
+
+  describe('isURL', function() {
+    it('should only accept http and https urls', () => {
+      assert(Webhooks.isURL('http://example.com/hook'));
+      assert(Webhooks.isURL('https://example.com:8443/hook?a=1'));
+      assert(!Webhooks.isURL('ftp://example.com/hook'));
+      assert(!Webhooks.isURL('example.com/hook'));
+      assert(!Webhooks.isURL(null));
+    });
+  });
+});